@@ -0,0 +1,883 @@
+/**
+ * Local Data Collector for Face Perception Experiments
+ *
+ * Self-hostable drop-in replacement for the Google Apps Script web app
+ * (see ../exp_2_memory/GOOGLE_SHEETS_SETUP.md). Accepts the same form-encoded
+ * `data` field the experiments POST, routes by the `experiment` field like
+ * doPost does, and appends rows to one CSV file per sheet with the same headers.
+ *
+ * No dependencies - run with Node 18+:
+ *   node collector/server.js [--port 8787] [--data-dir ./collector/data]
+ *
+ * Then open an experiment with ?collector=http://localhost:8787/
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Read a `--name value` command-line option
+ * @param {string} name - Option name without dashes
+ * @param {string} fallback - Value when the option is absent
+ * @returns {string} Option value
+ */
+function getOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const COLLECTOR_CONFIG = {
+    port: parseInt(getOption('port', process.env.COLLECTOR_PORT || '8787'), 10),
+    dataDir: path.resolve(getOption('data-dir', process.env.COLLECTOR_DATA_DIR || path.join(__dirname, 'data'))),
+    // Largest request body accepted (a full session is well under this)
+    maxBodyBytes: 5 * 1024 * 1024
+};
+
+// Same sheet names as the Apps Script; each becomes <name>.csv in the data directory
+const SHEET_NAMES = {
+    attention: 'att_acc',   // Experiment 1: Attention/Accuracy
+    memory: 'memory',       // Experiment 2: Memory
+    subj_traits: 'subj_traits', // Experiment 3: Subjective Traits
+    sessions: 'sessions'    // Session start/end events from all experiments
+};
+
+// Traits rated in Experiment 3 (each has _rating, _confidence and _rt columns)
+const TRAITS = ['trustworthy', 'competent', 'attractive', 'friendly'];
+
+// ============================================================================
+// SHEET HEADERS (mirror addAttentionHeaders / addMemoryHeaders / addSubjTraitsHeaders)
+// ============================================================================
+
+const ZOOM_HEADERS = [
+    'zoom_check_bypassed',
+    'zoom_check_attempts',
+    'approved_dpr',
+    'zoom_changes_count',
+    'zoom_changes',
+    'terminated_due_to_zoom'
+];
+
+const SESSION_HEADERS = [
+    'timestamp',
+    'experiment',
+    'session_id',
+    'sequence',
+    'participant_id',
+    'event',
+    'end_reason',
+    'rows_streamed',
+    'random_seed',
+    'list_id',
+    'list_source',
+    'recruitment_platform',
+    'platform_participant_id',
+    'platform_study_id',
+    'platform_session_id',
+    'px_per_mm',
+    'calibration_card_px',
+    'calibration_skipped',
+    'viewing_distance_mm',
+    'blind_spot_px',
+    'stimulus_units',
+    'refresh_rate_hz',
+    'exposure_flags',
+    'interaction_policy',
+    'staircase_thresholds',
+    'response_mode',
+    'key_mapping_id',
+    'key_mapping',
+    'attention_checks_passed',
+    'attention_checks_failed',
+    'attention_check_results',
+    'missing_images_mode',
+    'failed_images',
+    'dropped_stimuli',
+    'stimulus_verification',
+    'stimulus_rendering',
+    'quality'
+];
+
+const ATTENTION_HEADERS = [
+    'timestamp',
+    'participant_id',
+    // Demographics
+    'demo_age',
+    'demo_gender',
+    'demo_race',
+    'demo_education',
+    // Zoom tracking
+    ...ZOOM_HEADERS,
+    // Trial data
+    'trial_number',
+    'image_name',
+    'true_race',
+    'true_gender',
+    'size_condition',
+    'smile_condition',
+    'question_order',
+    'race_options_order',
+    'smile_options_order',
+    'gender_options_order',
+    'race_response',
+    'race_rt',
+    'race_correct',
+    'smile_response',
+    'smile_rt',
+    'smile_correct',
+    'gender_response',
+    'gender_rt',
+    'gender_correct',
+    // Confidence ratings (0-100)
+    'race_confidence',
+    'race_confidence_rt',
+    'smile_confidence',
+    'smile_confidence_rt',
+    'gender_confidence',
+    'gender_confidence_rt',
+    'is_practice',
+    // Exposure timing (frame timestamps, ms)
+    'stimulus_onset_ms',
+    'stimulus_offset_ms',
+    'exposure_ms',
+    'exposure_flag',
+    // Adaptive exposure
+    'target_duration_ms',
+    'staircase_trial',
+    'staircase_reversal',
+    // Backward mask
+    'mask_type',
+    'mask_soa_ms',
+    'mask_duration_ms',
+    'mask_soa_measured_ms',
+    'mask_exposure_ms',
+    // Viewing geometry
+    'viewing_distance_mm',
+    'visual_angle_deg',
+    'stimulus_width_px',
+    'stimulus_source_px',
+    'stimulus_detail_px',
+    // Interactions during the trial
+    'tab_hidden_count',
+    'blur_count',
+    'resize_count',
+    'interaction_events',
+    'trial_attempt',
+    'trial_repeated',
+    // Data-quality flags (see common/js/quality.js)
+    'flag_timed_out',
+    'flag_fast_rt',
+    'flag_focus_lost',
+    // Missing images (see common/js/stimulus-preload.js)
+    'stimulus_load_failed',
+    'replaced_individual_id',
+    // Streaming
+    'session_id',
+    'sequence'
+];
+
+const MEMORY_HEADERS = [
+    'timestamp',
+    'participant_id',
+    // Demographics
+    'demo_age',
+    'demo_gender',
+    'demo_race',
+    'demo_education',
+    // Zoom tracking
+    ...ZOOM_HEADERS,
+    // Round info
+    'round_number',
+    'size_condition',
+    'question_type',
+    'is_practice',
+    'grid_order',
+    'input_order',
+    'response_order',
+    // Actual composition (ground truth)
+    'actual_asian',
+    'actual_black',
+    'actual_hispanic',
+    'actual_white',
+    'actual_smiling',
+    'actual_not_smiling',
+    // Race question responses
+    'asian_response',
+    'black_response',
+    'hispanic_response',
+    'white_response',
+    'asian_error',
+    'black_error',
+    'hispanic_error',
+    'white_error',
+    'asian_correct',
+    'black_correct',
+    'hispanic_correct',
+    'white_correct',
+    // Smile question responses
+    'smiling_response',
+    'not_smiling_response',
+    'smiling_error',
+    'not_smiling_error',
+    'smiling_correct',
+    'not_smiling_correct',
+    // Timing
+    'response_rt',
+    // Exposure timing (frame timestamps, ms)
+    'stimulus_onset_ms',
+    'stimulus_offset_ms',
+    'exposure_ms',
+    'exposure_flag',
+    // Viewing geometry
+    'viewing_distance_mm',
+    'visual_angle_deg',
+    'stimulus_width_px',
+    'stimulus_source_px',
+    'stimulus_detail_px',
+    // Interactions during the trial
+    'tab_hidden_count',
+    'blur_count',
+    'resize_count',
+    'interaction_events',
+    'trial_attempt',
+    'trial_repeated',
+    // Data-quality flags (see common/js/quality.js)
+    'flag_timed_out',
+    'flag_fast_rt',
+    'flag_focus_lost',
+    'flag_total_mismatch',
+    // Missing images (see common/js/stimulus-preload.js)
+    'stimulus_load_failed',
+    // Streaming
+    'session_id',
+    'sequence'
+];
+
+const SUBJ_TRAITS_HEADERS = [
+    'timestamp',
+    'participant_id',
+    // Demographics
+    'demo_age',
+    'demo_gender',
+    'demo_race',
+    'demo_education',
+    // Zoom tracking
+    ...ZOOM_HEADERS,
+    // Trial data
+    'trial_number',
+    'image_name',
+    'true_race',
+    'true_gender',
+    'size_condition',
+    'smile_condition',
+    'trait_order',
+    // Trait ratings
+    'trustworthy_rating',
+    'trustworthy_confidence',
+    'trustworthy_rt',
+    'competent_rating',
+    'competent_confidence',
+    'competent_rt',
+    'attractive_rating',
+    'attractive_confidence',
+    'attractive_rt',
+    'friendly_rating',
+    'friendly_confidence',
+    'friendly_rt',
+    'is_practice',
+    // Viewing geometry
+    'viewing_distance_mm',
+    'visual_angle_deg',
+    'stimulus_width_px',
+    'stimulus_source_px',
+    'stimulus_detail_px',
+    // Interactions during the trial
+    'tab_hidden_count',
+    'blur_count',
+    'resize_count',
+    'interaction_events',
+    'trial_attempt',
+    'trial_repeated',
+    // Data-quality flags (see common/js/quality.js)
+    'flag_timed_out',
+    'flag_fast_rt',
+    'flag_focus_lost',
+    'flag_straightlined',
+    // Missing images (see common/js/stimulus-preload.js)
+    'stimulus_load_failed',
+    'replaced_individual_id',
+    // Streaming
+    'session_id',
+    'sequence'
+];
+
+// ============================================================================
+// ROW BUILDERS (mirror appendAttentionData / appendMemoryData / appendSubjTraitsData)
+// ============================================================================
+
+/**
+ * Value for a column that may be missing (empty cell instead of "undefined")
+ */
+function optional(value) {
+    return value !== undefined ? value : '';
+}
+
+/**
+ * Session-level columns repeated on every row: timestamp, participant, demographics, zoom
+ * @param {Object} data - Parsed payload
+ * @returns {Array} Leading cells of a row
+ */
+function sessionCells(data) {
+    const demographics = data.demographics || {};
+    const zoomTracking = data.zoom_tracking || {};
+    return [
+        data.timestamp || new Date().toISOString(),
+        data.participant_id || '',
+        // Demographics
+        demographics.age || '',
+        demographics.gender || '',
+        demographics.race || '',
+        demographics.education || '',
+        // Zoom tracking
+        zoomTracking.zoom_check_bypassed || false,
+        zoomTracking.zoom_check_attempts || 0,
+        zoomTracking.approved_dpr || '',
+        zoomTracking.zoom_changes_count || 0,
+        zoomTracking.zoom_changes ? JSON.stringify(zoomTracking.zoom_changes) : '',
+        zoomTracking.terminated_due_to_zoom || false
+    ];
+}
+
+/**
+ * Rows for Experiment 1
+ * @param {Object} data - Parsed payload
+ * @returns {Array<Array>} One row per trial
+ */
+function attentionRows(data) {
+    return (data.trials || []).map(trial => [
+        ...sessionCells(data),
+        // Trial data
+        trial.trial_number,
+        trial.image_name || '',
+        trial.true_race,
+        trial.true_gender,
+        trial.size_condition,
+        trial.smile_condition,
+        trial.question_order,
+        trial.race_options_order || '',
+        trial.smile_options_order || '',
+        trial.gender_options_order || '',
+        trial.race_response,
+        trial.race_rt,
+        trial.race_correct,
+        trial.smile_response,
+        trial.smile_rt,
+        trial.smile_correct,
+        // Gender question (empty unless enabled)
+        optional(trial.gender_response),
+        optional(trial.gender_rt),
+        optional(trial.gender_correct),
+        // Confidence ratings (empty when disabled or the question timed out)
+        optional(trial.race_confidence),
+        optional(trial.race_confidence_rt),
+        optional(trial.smile_confidence),
+        optional(trial.smile_confidence_rt),
+        optional(trial.gender_confidence),
+        optional(trial.gender_confidence_rt),
+        trial.is_practice,
+        // Exposure timing (frame timestamps, ms)
+        optional(trial.stimulus_onset_ms),
+        optional(trial.stimulus_offset_ms),
+        optional(trial.exposure_ms),
+        optional(trial.exposure_flag),
+        // Adaptive exposure (staircase columns empty with a fixed exposure)
+        optional(trial.target_duration_ms),
+        optional(trial.staircase_trial),
+        optional(trial.staircase_reversal),
+        // Backward mask ('none' without a mask)
+        trial.mask_type || '',
+        optional(trial.mask_soa_ms),
+        optional(trial.mask_duration_ms),
+        optional(trial.mask_soa_measured_ms),
+        optional(trial.mask_exposure_ms),
+        // Viewing geometry (distance and angle empty without a viewing distance)
+        optional(trial.viewing_distance_mm),
+        optional(trial.visual_angle_deg),
+        optional(trial.stimulus_width_px),
+        optional(trial.stimulus_source_px),
+        optional(trial.stimulus_detail_px),
+        // Interactions during the trial
+        optional(trial.tab_hidden_count),
+        optional(trial.blur_count),
+        optional(trial.resize_count),
+        optional(trial.interaction_events),
+        optional(trial.trial_attempt),
+        optional(trial.trial_repeated),
+        // Data-quality flags
+        optional(trial.flag_timed_out),
+        optional(trial.flag_fast_rt),
+        optional(trial.flag_focus_lost),
+        optional(trial.stimulus_load_failed),
+        optional(trial.replaced_individual_id),
+        // Streaming
+        data.session_id || '',
+        data.sequence || ''
+    ]);
+}
+
+/**
+ * Rows for Experiment 2
+ * @param {Object} data - Parsed payload
+ * @returns {Array<Array>} One row per round
+ */
+function memoryRows(data) {
+    return (data.rounds || []).map(round => [
+        ...sessionCells(data),
+        // Round info
+        round.round_number,
+        round.size_condition,
+        round.question_type,
+        round.is_practice,
+        round.grid_order || '',
+        round.input_order || '',
+        round.response_order || '',
+        // Actual composition
+        round.actual_asian,
+        round.actual_black,
+        round.actual_hispanic,
+        round.actual_white,
+        round.actual_smiling,
+        round.actual_not_smiling,
+        // Race responses (empty if smile question)
+        optional(round.asian_response),
+        optional(round.black_response),
+        optional(round.hispanic_response),
+        optional(round.white_response),
+        optional(round.asian_error),
+        optional(round.black_error),
+        optional(round.hispanic_error),
+        optional(round.white_error),
+        optional(round.asian_correct),
+        optional(round.black_correct),
+        optional(round.hispanic_correct),
+        optional(round.white_correct),
+        // Smile responses (empty if race question)
+        optional(round.smiling_response),
+        optional(round.not_smiling_response),
+        optional(round.smiling_error),
+        optional(round.not_smiling_error),
+        optional(round.smiling_correct),
+        optional(round.not_smiling_correct),
+        // Timing
+        round.response_rt,
+        // Exposure timing (frame timestamps, ms)
+        optional(round.stimulus_onset_ms),
+        optional(round.stimulus_offset_ms),
+        optional(round.exposure_ms),
+        optional(round.exposure_flag),
+        // Viewing geometry (distance and angle empty without a viewing distance)
+        optional(round.viewing_distance_mm),
+        optional(round.visual_angle_deg),
+        optional(round.stimulus_width_px),
+        optional(round.stimulus_source_px),
+        optional(round.stimulus_detail_px),
+        // Interactions during the trial
+        optional(round.tab_hidden_count),
+        optional(round.blur_count),
+        optional(round.resize_count),
+        optional(round.interaction_events),
+        optional(round.trial_attempt),
+        optional(round.trial_repeated),
+        // Data-quality flags
+        optional(round.flag_timed_out),
+        optional(round.flag_fast_rt),
+        optional(round.flag_focus_lost),
+        optional(round.flag_total_mismatch),
+        optional(round.stimulus_load_failed),
+        // Streaming
+        data.session_id || '',
+        data.sequence || ''
+    ]);
+}
+
+/**
+ * Rows for Experiment 3
+ * @param {Object} data - Parsed payload
+ * @returns {Array<Array>} One row per trial
+ */
+function subjTraitsRows(data) {
+    return (data.trials || []).map(trial => [
+        ...sessionCells(data),
+        // Trial data
+        trial.trial_number,
+        trial.image_name || '',
+        trial.true_race,
+        trial.true_gender,
+        trial.size_condition,
+        trial.smile_condition,
+        trial.trait_order || '',
+        // Trait ratings (null if the trait screen timed out)
+        trial.trustworthy_rating,
+        trial.trustworthy_confidence,
+        trial.trustworthy_rt,
+        trial.competent_rating,
+        trial.competent_confidence,
+        trial.competent_rt,
+        trial.attractive_rating,
+        trial.attractive_confidence,
+        trial.attractive_rt,
+        trial.friendly_rating,
+        trial.friendly_confidence,
+        trial.friendly_rt,
+        trial.is_practice,
+        // Viewing geometry (distance and angle empty without a viewing distance)
+        optional(trial.viewing_distance_mm),
+        optional(trial.visual_angle_deg),
+        optional(trial.stimulus_width_px),
+        optional(trial.stimulus_source_px),
+        optional(trial.stimulus_detail_px),
+        // Interactions during the trial
+        optional(trial.tab_hidden_count),
+        optional(trial.blur_count),
+        optional(trial.resize_count),
+        optional(trial.interaction_events),
+        optional(trial.trial_attempt),
+        optional(trial.trial_repeated),
+        // Data-quality flags
+        optional(trial.flag_timed_out),
+        optional(trial.flag_fast_rt),
+        optional(trial.flag_focus_lost),
+        optional(trial.flag_straightlined),
+        optional(trial.stimulus_load_failed),
+        optional(trial.replaced_individual_id),
+        // Streaming
+        data.session_id || '',
+        data.sequence || ''
+    ]);
+}
+
+/**
+ * Row for a session_start / session_end event
+ * @param {string} experimentType - Routed experiment
+ * @param {Object} data - Parsed payload
+ * @returns {Array<Array>} A single row
+ */
+function sessionRows(experimentType, data) {
+    return [[
+        data.timestamp || new Date().toISOString(),
+        experimentType,
+        data.session_id || '',
+        data.sequence || '',
+        data.participant_id || '',
+        data.payload_type,
+        data.end_reason || '',
+        optional(data.rows_streamed),
+        data.random_seed || '',
+        optional(data.list_id),
+        data.list_source || '',
+        data.recruitment_platform || '',
+        data.platform_participant_id || '',
+        data.platform_study_id || '',
+        data.platform_session_id || '',
+        optional(data.px_per_mm),
+        optional(data.calibration_card_px),
+        optional(data.calibration_skipped),
+        optional(data.viewing_distance_mm),
+        data.blind_spot_px || '',
+        data.stimulus_units || '',
+        optional(data.refresh_rate_hz),
+        optional(data.exposure_flags),
+        data.interaction_policy || '',
+        data.staircase_thresholds || '',
+        data.response_mode || '',
+        optional(data.key_mapping_id),
+        data.key_mapping || '',
+        optional(data.attention_checks_passed),
+        optional(data.attention_checks_failed),
+        data.attention_check_results || '',
+        data.missing_images_mode || '',
+        data.failed_images || '',
+        data.dropped_stimuli || '',
+        data.stimulus_verification || '',
+        data.stimulus_rendering || '',
+        data.quality ? JSON.stringify(data.quality) : ''
+    ]];
+}
+
+// Headers, row builder and row array key for each known experiment
+const EXPERIMENT_HANDLERS = {
+    attention: { headers: ATTENTION_HEADERS, buildRows: attentionRows, rowsKey: 'trials' },
+    memory: { headers: MEMORY_HEADERS, buildRows: memoryRows, rowsKey: 'rounds' },
+    subj_traits: { headers: SUBJ_TRAITS_HEADERS, buildRows: subjTraitsRows, rowsKey: 'trials' }
+};
+
+// ============================================================================
+// VALIDATION (mirror validatePayload / validateTraitRow)
+// ============================================================================
+
+/**
+ * Whether a payload is a session_start / session_end marker rather than rows
+ * @param {Object} data - Parsed payload
+ * @returns {boolean}
+ */
+function isSessionEvent(data) {
+    return data.payload_type === 'session_start' || data.payload_type === 'session_end';
+}
+
+/**
+ * Reject row payloads that are missing their rows or carry out-of-range ratings
+ * @param {string} experimentType - Known experiment type
+ * @param {Object} data - Parsed payload
+ * @throws {Error} If the payload would land in the sheet malformed
+ */
+function validatePayload(experimentType, data) {
+    if (isSessionEvent(data)) return;
+
+    const rowsKey = EXPERIMENT_HANDLERS[experimentType].rowsKey;
+    if (!Array.isArray(data[rowsKey])) {
+        throw new Error(`Missing ${rowsKey} for experiment: ${experimentType}`);
+    }
+
+    if (experimentType === 'subj_traits') {
+        data[rowsKey].forEach(validateTraitRow);
+    }
+}
+
+/**
+ * Check that every trait rating and confidence is 0-100, or null for a timed-out screen
+ * @param {Object} trial - One Experiment 3 trial row
+ * @throws {Error} If a value is missing or out of range
+ */
+function validateTraitRow(trial) {
+    TRAITS.forEach(trait => {
+        ['rating', 'confidence'].forEach(measure => {
+            const column = `${trait}_${measure}`;
+            if (!(column in trial)) {
+                throw new Error(`Missing ${column} in trial ${trial.trial_number}`);
+            }
+            const value = trial[column];
+            if (value !== null && (typeof value !== 'number' || value < 0 || value > 100)) {
+                throw new Error(`Invalid ${column} in trial ${trial.trial_number}: ${value}`);
+            }
+        });
+    });
+}
+
+// ============================================================================
+// CSV STORAGE
+// ============================================================================
+
+/**
+ * Quote a single CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Append rows to <sheetName>.csv, writing the header first if the file is new
+ * @param {string} sheetName - Sheet (file) name
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Rows to append
+ */
+function appendRows(sheetName, headers, rows) {
+    const file = path.join(COLLECTOR_CONFIG.dataDir, `${sheetName}.csv`);
+    let text = '';
+    if (!fs.existsSync(file) || fs.statSync(file).size === 0) {
+        text += headers.map(toCsvCell).join(',') + '\r\n';
+    }
+    rows.forEach(row => {
+        text += row.map(toCsvCell).join(',') + '\r\n';
+    });
+    fs.appendFileSync(file, text);
+}
+
+/**
+ * Append a line to the debug log (the equivalent of the "debug" sheet)
+ * @param {...*} parts - Values to log
+ */
+function logDebug(...parts) {
+    const line = [new Date().toISOString(), ...parts.map(p => typeof p === 'string' ? p : JSON.stringify(p))].join('\t');
+    fs.appendFileSync(path.join(COLLECTOR_CONFIG.dataDir, 'debug.log'), line + '\n');
+}
+
+// Submission ids already stored, so outbox retries whose first attempt landed are not duplicated
+const receivedSubmissions = new Set();
+
+/**
+ * Load previously stored submission ids from the raw payload log
+ */
+function loadReceivedSubmissions() {
+    const file = path.join(COLLECTOR_CONFIG.dataDir, 'received.jsonl');
+    if (!fs.existsSync(file)) return;
+    fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+        try {
+            const entry = JSON.parse(line);
+            if (entry.submission_id) receivedSubmissions.add(entry.submission_id);
+        } catch (error) {
+            // Ignore a torn last line
+        }
+    });
+}
+
+// ============================================================================
+// COUNTERBALANCING ALLOCATION (mirror allocateConditionList)
+// ============================================================================
+
+/**
+ * Hand out the next counterbalancing list of an experiment (shared round-robin)
+ * @param {string} experimentType - Experiment asking for a list
+ * @param {number} listCount - Number of counterbalancing lists
+ * @returns {Object} Reply body with list_id
+ */
+function allocateConditionList(experimentType, listCount) {
+    if (!EXPERIMENT_HANDLERS[experimentType]) {
+        throw new Error(`Unknown experiment type: ${experimentType}`);
+    }
+    if (!Number.isInteger(listCount) || listCount < 1) {
+        throw new Error(`Invalid list count: ${listCount}`);
+    }
+
+    // Requests are handled one at a time, so a read-modify-write of the file is safe
+    const file = path.join(COLLECTOR_CONFIG.dataDir, 'allocations.json');
+    const counters = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    const allocation = counters[experimentType] || 0;
+    counters[experimentType] = allocation + 1;
+    fs.writeFileSync(file, JSON.stringify(counters, null, 2) + '\n');
+
+    const listId = allocation % listCount;
+    logDebug('ALLOCATE', `experiment: ${experimentType}, list_id: ${listId}`);
+    return { status: 'success', experiment: experimentType, list_id: listId };
+}
+
+// ============================================================================
+// REQUEST HANDLING
+// ============================================================================
+
+/**
+ * Store one payload, mirroring doPost's routing
+ * @param {Object} data - Parsed payload
+ * @returns {Object} Acknowledgement body
+ */
+function handlePayload(data) {
+    // Default to 'attention' for backwards compatibility with Experiment 1
+    const experimentType = data.experiment || 'attention';
+    const handler = EXPERIMENT_HANDLERS[experimentType];
+
+    // Reject unknown experiments instead of writing them under another experiment's headers
+    if (!handler) {
+        throw new Error(`Unknown experiment type: ${experimentType}`);
+    }
+    validatePayload(experimentType, data);
+
+    if (data.submission_id && receivedSubmissions.has(data.submission_id)) {
+        logDebug('DUPLICATE', data.submission_id);
+        return { status: 'success', experiment: experimentType, duplicate: true };
+    }
+
+    let sheetName;
+    if (isSessionEvent(data)) {
+        sheetName = SHEET_NAMES.sessions;
+        appendRows(sheetName, SESSION_HEADERS, sessionRows(experimentType, data));
+    } else {
+        sheetName = SHEET_NAMES[experimentType];
+        appendRows(sheetName, handler.headers, handler.buildRows(data));
+    }
+
+    // Keep the raw payload too, like the debug sheet does for the Apps Script
+    fs.appendFileSync(path.join(COLLECTOR_CONFIG.dataDir, 'received.jsonl'), JSON.stringify(data) + '\n');
+    if (data.submission_id) receivedSubmissions.add(data.submission_id);
+
+    logDebug('SUCCESS', `experiment: ${experimentType}, participant_id: ${data.participant_id}`);
+    return { status: 'success', experiment: experimentType, sheet: sheetName };
+}
+
+/**
+ * Send a response with CORS headers so the experiment pages can read the acknowledgement
+ */
+function respond(res, statusCode, body, contentType) {
+    res.writeHead(statusCode, {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        respond(res, 204, '', 'text/plain');
+        return;
+    }
+
+    if (req.method === 'GET') {
+        // Counterbalancing allocation: ?action=allocate&experiment=...&lists=N
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        if (params.get('action') === 'allocate') {
+            try {
+                const result = allocateConditionList(params.get('experiment') || 'attention', parseInt(params.get('lists'), 10));
+                respond(res, 200, JSON.stringify(result), 'application/json');
+            } catch (error) {
+                logDebug('ERROR', error.toString());
+                respond(res, 400, JSON.stringify({ status: 'error', message: error.toString() }), 'application/json');
+            }
+            return;
+        }
+
+        respond(res, 200, 'Face Perception Experiments Local Data Collector\n\nSupported experiments:\n- attention → att_acc.csv\n- memory → memory.csv\n- subj_traits → subj_traits.csv', 'text/plain; charset=utf-8');
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        respond(res, 405, JSON.stringify({ status: 'error', message: 'Method not allowed' }), 'application/json');
+        return;
+    }
+
+    let body = '';
+    let tooLarge = false;
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > COLLECTOR_CONFIG.maxBodyBytes) {
+            tooLarge = true;
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        if (tooLarge) return;
+        logDebug('POST received', `length ${body.length}`);
+        try {
+            // Form-encoded `data` field (what the experiments send), or a raw JSON body
+            const contentType = req.headers['content-type'] || '';
+            const raw = contentType.includes('application/x-www-form-urlencoded')
+                ? new URLSearchParams(body).get('data')
+                : body;
+            if (!raw) {
+                throw new Error('No data received');
+            }
+
+            const result = handlePayload(JSON.parse(raw));
+            respond(res, 200, JSON.stringify(result), 'application/json');
+        } catch (error) {
+            logDebug('ERROR', error.toString());
+            respond(res, 400, JSON.stringify({ status: 'error', message: error.toString() }), 'application/json');
+        }
+    });
+});
+
+fs.mkdirSync(COLLECTOR_CONFIG.dataDir, { recursive: true });
+loadReceivedSubmissions();
+
+server.listen(COLLECTOR_CONFIG.port, () => {
+    console.log(`Collector listening on http://localhost:${COLLECTOR_CONFIG.port}/`);
+    console.log(`Writing CSV files to ${COLLECTOR_CONFIG.dataDir}`);
+});
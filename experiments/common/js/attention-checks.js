@@ -0,0 +1,139 @@
+/**
+ * Attention Checks
+ *
+ * Panel participants who click through without looking cannot be told apart
+ * from real low performers by their trial data alone. With
+ * EXPERIMENTS_CONFIG.attentionChecks set, each experiment's
+ * createMainExperiment() inserts `count` catch trials at random positions
+ * among the main trials (never before the first), and each experiment builds
+ * its own catch trial:
+ *   Experiment 1 - a face with an overlaid instruction to give one answer
+ *   Experiment 2 - a grid of eight identical faces, then the usual counts
+ *   Experiment 3 - a trait screen asking for one slider value
+ * Catch trials are scored as they finish, do not count as trials or rounds,
+ * and are exported with the session. After `maxFailures` failed checks the
+ * experiment ends, like a zoom change.
+ */
+
+const attentionCheckState = {
+    results: [],
+    terminated: false
+};
+
+/**
+ * Whether catch trials are inserted
+ * @returns {boolean}
+ */
+function isAttentionCheckActive() {
+    const config = EXPERIMENTS_CONFIG.attentionChecks;
+    return Boolean(config) && config.count > 0;
+}
+
+/**
+ * Insert catch trials among the main trials at seeded random positions
+ * (see common/js/random.js)
+ * @param {Array} trials - Main trial/round timelines in presentation order
+ * @param {Function} createCheck - Builds the timeline of catch trial n (1-based)
+ * @returns {Array} Timelines with the catch trials inserted
+ */
+function insertAttentionChecks(trials, createCheck) {
+    if (!isAttentionCheckActive()) {
+        return trials;
+    }
+
+    // A check can follow any main trial, at most one per gap
+    const gaps = trials.map((trial, index) => index + 1);
+    const positions = randomShuffle(gaps).slice(0, EXPERIMENTS_CONFIG.attentionChecks.count);
+
+    const timeline = [];
+    let checkNumber = 0;
+    trials.forEach((trial, index) => {
+        timeline.push(trial);
+        if (positions.includes(index + 1)) {
+            checkNumber++;
+            timeline.push(createCheck(checkNumber));
+        }
+    });
+    return timeline;
+}
+
+/**
+ * Score a finished catch trial, ending the experiment after too many failures
+ * @param {Object} jsPsych - The jsPsych instance
+ * @param {Object} result - Check fields: attention_check (number), check_type,
+ *     expected, response, rt, passed
+ * @returns {Object} The result, to be returned from the check's call-function trial
+ */
+function recordAttentionCheck(jsPsych, result) {
+    attentionCheckState.results.push(result);
+
+    const maxFailures = EXPERIMENTS_CONFIG.attentionChecks.maxFailures;
+    const failures = attentionCheckState.results.filter(r => !r.passed).length;
+    if (maxFailures && failures >= maxFailures) {
+        terminateExperimentDueToAttentionChecks(jsPsych);
+    }
+    return result;
+}
+
+/**
+ * Terminate the experiment because too many attention checks were failed
+ * @param {Object} jsPsych - The jsPsych instance
+ */
+function terminateExperimentDueToAttentionChecks(jsPsych) {
+    if (attentionCheckState.terminated) return;
+    attentionCheckState.terminated = true;
+    if (typeof setSessionEndReason === 'function') {
+        setSessionEndReason('failed_attention_checks');
+    }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'attention-check-termination-overlay';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.9);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+    `;
+    overlay.innerHTML = `
+        <div style="background: white; padding: 40px; border-radius: 10px; max-width: 500px; text-align: center;">
+            <h2 style="color: #dc3545; margin-top: 0;">Experiment Terminated</h2>
+            <p style="font-size: 16px; line-height: 1.6;">
+                The experiment has been terminated because <strong>several attention checks were not answered as instructed</strong>.
+            </p>
+            <p style="font-size: 14px; color: #666;">
+                The study includes a few screens that ask for a specific answer, to make sure responses are given with care.
+            </p>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    jsPsych.endExperiment('Experiment terminated: Too many failed attention checks.');
+}
+
+/**
+ * Attention check results of this session, for the exported data
+ * @returns {Object} attention_checks_passed, attention_checks_failed and
+ *     attention_check_results (JSON list of the checks), null without checks
+ */
+function getAttentionCheckData() {
+    if (!isAttentionCheckActive()) {
+        return {
+            attention_checks_passed: null,
+            attention_checks_failed: null,
+            attention_check_results: null
+        };
+    }
+
+    const results = attentionCheckState.results;
+    return {
+        attention_checks_passed: results.filter(r => r.passed).length,
+        attention_checks_failed: results.filter(r => !r.passed).length,
+        attention_check_results: JSON.stringify(results)
+    };
+}
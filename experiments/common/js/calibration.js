@@ -0,0 +1,311 @@
+/**
+ * Physical Size Calibration and Viewing Distance
+ *
+ * A CSS pixel is a different physical size on every screen, so the display
+ * check asks participants to resize an on-screen card until it matches a real
+ * credit card (ISO/IEC 7810 ID-1, 85.60 × 53.98 mm). That gives pixels per
+ * millimetre, which is sent with every payload as `px_per_mm`.
+ *
+ * Perceived size also depends on how far the participant sits from the screen.
+ * If EXPERIMENTS_CONFIG.blindSpotTask is on, a blind-spot sweep ("virtual
+ * chinrest", Li et al., 2020) follows the card: the blind spot sits ~13.5° from
+ * fixation, so the on-screen distance at which a moving dot disappears gives
+ * the viewing distance. Every trial row then carries `viewing_distance_mm` and
+ * the stimulus' `visual_angle_deg`.
+ *
+ * Stimulus sizes come from the first of these the session can use:
+ * STIMULI_CONFIG.visualAngleSizes (degrees, needs a viewing distance),
+ * STIMULI_CONFIG.physicalSizes (mm, needs the card) or STIMULI_CONFIG.sizes (px),
+ * each keyed by size level. Every row records the width the image was drawn
+ * at (`stimulus_width_px`), so size can be analysed as a continuous variable.
+ */
+
+const CALIBRATION_CONFIG = {
+    // ID-1 card size (credit cards, most bank and ID cards)
+    cardWidthMm: 85.60,
+    cardHeightMm: 53.98,
+
+    // Slider range for the on-screen card width (CSS px)
+    minCardWidthPx: 150,
+    maxCardWidthPx: 800,
+
+    // Angle between fixation and the centre of the blind spot
+    blindSpotAngleDeg: 13.5,
+
+    // Sweeps averaged into the viewing distance estimate
+    blindSpotSweeps: 5,
+
+    // Speed of the moving dot
+    blindSpotSpeedMmPerSecond: 40,
+
+    // Estimates outside this range are treated as failed sweeps (pressed too
+    // early or too late) and no distance is used
+    plausibleDistanceMm: { min: 200, max: 1500 }
+};
+
+// Result of this session's calibration
+const calibrationState = {
+    cardWidthPx: null,
+    pxPerMm: null,
+    skipped: false,
+    blindSpotPx: [],
+    viewingDistanceMm: null
+};
+
+// ============================================================================
+// CREDIT-CARD CALIBRATION
+// ============================================================================
+
+/**
+ * Build the calibration screen: a card resized with a slider
+ * @returns {string} HTML for the calibration trial
+ */
+function buildCalibrationHTML() {
+    // Start at the size a 96 dpi screen would show the card at
+    const startWidth = Math.round(CALIBRATION_CONFIG.cardWidthMm * 96 / 25.4);
+    const aspect = CALIBRATION_CONFIG.cardHeightMm / CALIBRATION_CONFIG.cardWidthMm;
+
+    return `
+        <div class="instruction-container">
+            <h2>Screen Size Calibration</h2>
+            <p>Hold a credit card (or any bank, ID or loyalty card of the same size) flat against the screen,
+               over the grey card below.</p>
+            <p>Move the slider until the grey card is <strong>exactly</strong> the size of your real card.</p>
+            <div style="display: flex; justify-content: center; align-items: center; height: ${Math.ceil(CALIBRATION_CONFIG.maxCardWidthPx * aspect) + 20}px;">
+                <div id="calibration-card"
+                     style="width: ${startWidth}px; height: ${startWidth * aspect}px;
+                            background: linear-gradient(135deg, #b0b0b0, #808080);
+                            border-radius: ${startWidth * 3.18 / CALIBRATION_CONFIG.cardWidthMm}px;
+                            box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3);"></div>
+            </div>
+            <input type="range" id="calibration-slider"
+                   min="${CALIBRATION_CONFIG.minCardWidthPx}" max="${CALIBRATION_CONFIG.maxCardWidthPx}"
+                   step="1" value="${startWidth}" style="width: 80%;">
+            <p style="font-size: 14px; color: #666;">Tip: after clicking the slider you can fine-tune it with the arrow keys.</p>
+        </div>
+    `;
+}
+
+/**
+ * Create the calibration trial for the display check
+ * @returns {Object} jsPsych trial object
+ */
+function createCalibrationTrial() {
+    // Card width as last set by the slider (the slider is gone by on_finish)
+    let cardWidthPx = null;
+
+    return {
+        type: jsPsychHtmlButtonResponse,
+        stimulus: buildCalibrationHTML,
+        choices: ['The sizes match', 'I don\'t have a card'],
+        data: { trial_type: 'size_calibration' },
+        on_load: function() {
+            const slider = document.getElementById('calibration-slider');
+            const card = document.getElementById('calibration-card');
+            const aspect = CALIBRATION_CONFIG.cardHeightMm / CALIBRATION_CONFIG.cardWidthMm;
+            cardWidthPx = Number(slider.value);
+
+            slider.addEventListener('input', function() {
+                cardWidthPx = Number(slider.value);
+                card.style.width = `${cardWidthPx}px`;
+                card.style.height = `${cardWidthPx * aspect}px`;
+                card.style.borderRadius = `${cardWidthPx * 3.18 / CALIBRATION_CONFIG.cardWidthMm}px`;
+            });
+        },
+        on_finish: function(data) {
+            if (data.response === 1) {
+                calibrationState.skipped = true;
+            } else {
+                calibrationState.cardWidthPx = cardWidthPx;
+                calibrationState.pxPerMm = cardWidthPx / CALIBRATION_CONFIG.cardWidthMm;
+            }
+
+            data.card_width_px = calibrationState.cardWidthPx;
+            data.px_per_mm = calibrationState.pxPerMm;
+            data.calibration_skipped = calibrationState.skipped;
+        }
+    };
+}
+
+// ============================================================================
+// BLIND-SPOT VIEWING DISTANCE
+// ============================================================================
+
+/**
+ * Create the blind-spot task that estimates viewing distance; runs only if
+ * EXPERIMENTS_CONFIG.blindSpotTask is on and the card calibration succeeded
+ * @returns {Object} jsPsych timeline object
+ */
+function createBlindSpotBlock() {
+    const instructions = {
+        type: jsPsychHtmlButtonResponse,
+        stimulus: `
+            <div class="instruction-container">
+                <h2>Viewing Distance</h2>
+                <p>Sit as you will for the rest of the study.</p>
+                <ol style="text-align: left;">
+                    <li>Cover your <strong>right eye</strong> with your hand.</li>
+                    <li>Keep looking at the <strong>black square</strong> with your left eye. Do not look at the red dot.</li>
+                    <li>The red dot will move to the left. Press the <strong>space bar</strong> as soon as it disappears.</li>
+                </ol>
+                <p>This is repeated ${CALIBRATION_CONFIG.blindSpotSweeps} times.</p>
+            </div>
+        `,
+        choices: ['Start'],
+        data: { trial_type: 'blind_spot_instructions' }
+    };
+
+    // Current sweep's animation and the dot's distance from the square (px)
+    let animationFrame = null;
+    let dotDistancePx = null;
+
+    const sweep = {
+        type: jsPsychHtmlKeyboardResponse,
+        stimulus: `
+            <div id="blind-spot-square" style="position: fixed; top: 50%; width: 30px; height: 30px;
+                        margin-top: -15px; background: #000;"></div>
+            <div id="blind-spot-dot" style="position: fixed; top: 50%; width: 30px; height: 30px;
+                        margin-top: -15px; border-radius: 50%; background: #dc3545;"></div>
+        `,
+        choices: [' '],
+        data: { trial_type: 'blind_spot_sweep' },
+        on_load: function() {
+            const square = document.getElementById('blind-spot-square');
+            const dot = document.getElementById('blind-spot-dot');
+            const squareX = window.innerWidth - 150;
+            const speedPxPerMs = CALIBRATION_CONFIG.blindSpotSpeedMmPerSecond * calibrationState.pxPerMm / 1000;
+            square.style.left = `${squareX}px`;
+
+            // Move the dot left from the square, starting over if it reaches the edge
+            let sweepStart = null;
+            function step(timestamp) {
+                if (sweepStart === null) sweepStart = timestamp;
+                dotDistancePx = 60 + (timestamp - sweepStart) * speedPxPerMs;
+                if (dotDistancePx > squareX - 20) {
+                    sweepStart = timestamp;
+                    dotDistancePx = 60;
+                }
+                dot.style.left = `${squareX - dotDistancePx}px`;
+                animationFrame = requestAnimationFrame(step);
+            }
+            animationFrame = requestAnimationFrame(step);
+        },
+        on_finish: function(data) {
+            cancelAnimationFrame(animationFrame);
+            calibrationState.blindSpotPx.push(dotDistancePx);
+            data.blind_spot_px = dotDistancePx;
+            data.sweep_number = calibrationState.blindSpotPx.length;
+
+            // Re-estimate the distance from all sweeps so far
+            const meanPx = calibrationState.blindSpotPx.reduce((sum, px) => sum + px, 0) / calibrationState.blindSpotPx.length;
+            const distanceMm = (meanPx / calibrationState.pxPerMm) / Math.tan(CALIBRATION_CONFIG.blindSpotAngleDeg * Math.PI / 180);
+            const plausible = distanceMm >= CALIBRATION_CONFIG.plausibleDistanceMm.min &&
+                distanceMm <= CALIBRATION_CONFIG.plausibleDistanceMm.max;
+            calibrationState.viewingDistanceMm = plausible ? distanceMm : null;
+            data.viewing_distance_mm = calibrationState.viewingDistanceMm;
+        }
+    };
+
+    return {
+        timeline: [instructions, { timeline: [sweep], repetitions: CALIBRATION_CONFIG.blindSpotSweeps }],
+        conditional_function: function() {
+            return Boolean(EXPERIMENTS_CONFIG.blindSpotTask && calibrationState.pxPerMm);
+        }
+    };
+}
+
+/**
+ * Estimated viewing distance
+ * @returns {number|null} Distance in mm, or null if not measured or implausible
+ */
+function getViewingDistanceMm() {
+    return calibrationState.viewingDistanceMm;
+}
+
+/**
+ * Visual angle subtended by an on-screen extent
+ * @param {number} sizePx - Extent in CSS pixels
+ * @returns {number|null} Degrees, or null without a calibration and viewing distance
+ */
+function getVisualAngleDeg(sizePx) {
+    if (!calibrationState.pxPerMm || !calibrationState.viewingDistanceMm) return null;
+    const sizeMm = sizePx / calibrationState.pxPerMm;
+    return 2 * Math.atan(sizeMm / (2 * calibrationState.viewingDistanceMm)) * 180 / Math.PI;
+}
+
+// ============================================================================
+// STIMULUS SIZES
+// ============================================================================
+
+/**
+ * Pixels per millimetre measured for this display
+ * @returns {number|null} px/mm, or null if calibration was skipped or not done
+ */
+function getPixelsPerMm() {
+    return calibrationState.pxPerMm;
+}
+
+/**
+ * Units the stimulus sizes of this session are defined in: the experiment
+ * configures them and the session measured what they need
+ * @returns {string} 'deg', 'mm' or 'px'
+ */
+function getStimulusUnits() {
+    if (STIMULI_CONFIG.visualAngleSizes && calibrationState.viewingDistanceMm) return 'deg';
+    if (STIMULI_CONFIG.physicalSizes && calibrationState.pxPerMm) return 'mm';
+    return 'px';
+}
+
+/**
+ * On-screen size of a size condition in CSS pixels, from its size in
+ * getStimulusUnits()
+ * @param {string} size - Size level (a key of STIMULI_CONFIG.sizes)
+ * @returns {Object} { width, height } in CSS pixels
+ */
+function getStimulusDimensions(size) {
+    const units = getStimulusUnits();
+    if (units === 'px') {
+        return STIMULI_CONFIG.sizes[size];
+    }
+
+    // Degrees -> mm on screen at the measured distance
+    const toMm = units === 'deg'
+        ? deg => 2 * calibrationState.viewingDistanceMm * Math.tan(deg * Math.PI / 360)
+        : mm => mm;
+    const configured = units === 'deg' ? STIMULI_CONFIG.visualAngleSizes[size] : STIMULI_CONFIG.physicalSizes[size];
+    return {
+        width: Math.round(toMm(configured.width) * calibrationState.pxPerMm),
+        height: Math.round(toMm(configured.height) * calibrationState.pxPerMm)
+    };
+}
+
+/**
+ * Viewing geometry of one stimulus, for its trial row
+ * @param {string} size - Size level (a key of STIMULI_CONFIG.sizes)
+ * @returns {Object} viewing_distance_mm and visual_angle_deg (image width, null
+ *     if not measured), and stimulus_width_px (CSS pixels)
+ */
+function getStimulusViewingData(size) {
+    const width = getStimulusDimensions(size).width;
+    return {
+        viewing_distance_mm: calibrationState.viewingDistanceMm,
+        visual_angle_deg: getVisualAngleDeg(width),
+        stimulus_width_px: width
+    };
+}
+
+/**
+ * Calibration of this session, for the exported data
+ * @returns {Object} px_per_mm, calibration_card_px, calibration_skipped,
+ *     viewing_distance_mm, blind_spot_px (per sweep) and stimulus_units ('deg', 'mm' or 'px')
+ */
+function getCalibrationData() {
+    return {
+        px_per_mm: calibrationState.pxPerMm,
+        calibration_card_px: calibrationState.cardWidthPx,
+        calibration_skipped: calibrationState.skipped,
+        viewing_distance_mm: calibrationState.viewingDistanceMm,
+        blind_spot_px: calibrationState.blindSpotPx.length ? calibrationState.blindSpotPx.join(',') : null,
+        stimulus_units: getStimulusUnits()
+    };
+}
@@ -0,0 +1,115 @@
+/**
+ * Counterbalancing Allocation
+ *
+ * Hands each new participant the next counterbalancing list so that, across
+ * participants, every individual appears equally often in every size × smile
+ * cell (see generateStimulusAssignment). Lists come from the data collector
+ * (`?action=allocate`, a shared round-robin counter); if it cannot be reached,
+ * or EXPERIMENTS_CONFIG.allocator is 'local', a per-browser round-robin
+ * counter stands in for pilots. ?list= forces a list, e.g. to replay a session.
+ * Experiments allocate once consent is given (see createSessionStartTrial), so
+ * reloads, previews and declined consent do not advance the counter.
+ */
+
+const COUNTERBALANCE_CONFIG = {
+    // How long to wait for the collector before using the local stand-in
+    requestTimeout: 5000,
+
+    // localStorage key of the local stand-in's counters (one per experiment)
+    localStorageKey: 'face_experiments_counterbalance'
+};
+
+// List allocated to this session: { listId, source }
+let allocatedConditionList = null;
+
+/**
+ * Ask the collector for the next list
+ * @param {string} url - Collector endpoint
+ * @param {string} experiment - Experiment name sent with the data
+ * @param {number} listCount - Number of counterbalancing lists
+ * @returns {Promise<number>} Allocated list id
+ */
+async function requestListFromCollector(url, experiment, listCount) {
+    const requestUrl = new URL(url, window.location.href);
+    requestUrl.searchParams.set('action', 'allocate');
+    requestUrl.searchParams.set('experiment', experiment);
+    requestUrl.searchParams.set('lists', listCount);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), COUNTERBALANCE_CONFIG.requestTimeout);
+    try {
+        const response = await fetch(requestUrl, { signal: controller.signal });
+        const reply = await response.json();
+        if (!response.ok || reply.status !== 'success' || !Number.isInteger(reply.list_id)) {
+            throw new Error(reply.message || `Unexpected allocation reply (HTTP ${response.status})`);
+        }
+        return reply.list_id % listCount;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Take the next list from this browser's own round-robin counter
+ * @param {string} experiment - Experiment name
+ * @param {number} listCount - Number of counterbalancing lists
+ * @returns {number} Allocated list id
+ */
+function allocateListLocally(experiment, listCount) {
+    let counters = {};
+    try {
+        counters = JSON.parse(localStorage.getItem(COUNTERBALANCE_CONFIG.localStorageKey)) || {};
+    } catch (error) {
+        console.warn('Could not read counterbalancing counters:', error);
+    }
+
+    const next = counters[experiment] || 0;
+    counters[experiment] = next + 1;
+    try {
+        localStorage.setItem(COUNTERBALANCE_CONFIG.localStorageKey, JSON.stringify(counters));
+    } catch (error) {
+        console.warn('Could not save counterbalancing counters:', error);
+    }
+    return next % listCount;
+}
+
+/**
+ * Allocate this session's counterbalancing list
+ * Priority: ?list= URL parameter, then the collector, then the local stand-in.
+ * @param {string} url - Collector endpoint
+ * @param {string} experiment - Experiment name sent with the data
+ * @param {number} listCount - Number of counterbalancing lists
+ * @returns {Promise<Object>} { listId, source } where source is 'url', 'collector' or 'local'
+ */
+async function allocateConditionList(url, experiment, listCount) {
+    const fromUrl = new URLSearchParams(window.location.search).get('list');
+    if (fromUrl !== null && /^\d+$/.test(fromUrl)) {
+        console.log('Using counterbalancing list from URL parameter:', fromUrl);
+        allocatedConditionList = { listId: parseInt(fromUrl, 10) % listCount, source: 'url' };
+        return allocatedConditionList;
+    }
+
+    if (EXPERIMENTS_CONFIG.allocator !== 'local' && url) {
+        try {
+            const listId = await requestListFromCollector(url, experiment, listCount);
+            allocatedConditionList = { listId: listId, source: 'collector' };
+            return allocatedConditionList;
+        } catch (error) {
+            console.warn('Collector allocation failed, using local counterbalancing:', error);
+        }
+    }
+
+    allocatedConditionList = { listId: allocateListLocally(experiment, listCount), source: 'local' };
+    return allocatedConditionList;
+}
+
+/**
+ * Counterbalancing list of this session, for the exported data
+ * @returns {Object} { list_id, list_source }, null values before allocation
+ */
+function getConditionListData() {
+    return {
+        list_id: allocatedConditionList ? allocatedConditionList.listId : null,
+        list_source: allocatedConditionList ? allocatedConditionList.source : null
+    };
+}
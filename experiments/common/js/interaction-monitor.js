@@ -0,0 +1,250 @@
+/**
+ * Interaction Monitor
+ *
+ * Switching tabs, leaving the browser window or resizing it while a face is on
+ * screen invalidates the exposure, and zoom/fullscreen tracking does not catch
+ * it. Each experiment wraps its trials/rounds in createMonitoredTrial(); while
+ * one runs, `visibilitychange`, `blur`/`focus` and `resize` events are logged
+ * with their time since the trial started and their counts are added to the
+ * trial_complete/round_complete row. What a disrupted main trial leads to is
+ * set by EXPERIMENTS_CONFIG.interactionPolicy:
+ *   'warn'      - show a warning and carry on
+ *   'repeat'    - show a warning and run the trial again (up to maxInteractionRepeats)
+ *   'terminate' - end the experiment, like a zoom change
+ * Like zoom changes, practice trials only ever warn.
+ */
+
+const INTERACTION_CONFIG = {
+    // Resize events closer together than this are one resize (dragging fires many)
+    resizeDebounceMs: 250
+};
+
+const interactionState = {
+    jsPsych: null,
+    trialStart: null,
+    attempt: 0,
+    repeatPending: false,
+    events: [],
+    counts: { hidden: 0, blur: 0, resize: 0 },
+    lastResize: null,
+    terminated: false
+};
+
+/**
+ * Start listening for interactions - call once the display check has passed
+ * @param {Object} jsPsych - The jsPsych instance to end on termination
+ */
+function initInteractionMonitor(jsPsych) {
+    if (interactionState.jsPsych) return;
+    interactionState.jsPsych = jsPsych;
+
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') {
+            recordInteraction('hidden', true);
+        } else {
+            recordInteraction('visible', false);
+        }
+    });
+    window.addEventListener('blur', () => recordInteraction('blur', true));
+    window.addEventListener('focus', () => recordInteraction('focus', false));
+    window.addEventListener('resize', function() {
+        const now = performance.now();
+        const isNewResize = interactionState.lastResize === null ||
+            now - interactionState.lastResize > INTERACTION_CONFIG.resizeDebounceMs;
+        interactionState.lastResize = now;
+        if (isNewResize) {
+            recordInteraction('resize', true);
+        }
+    });
+}
+
+/**
+ * Log an interaction if a monitored trial is running, and apply the policy
+ * @param {string} type - 'hidden', 'visible', 'blur', 'focus' or 'resize'
+ * @param {boolean} disrupts - Whether the event invalidates the trial
+ */
+function recordInteraction(type, disrupts) {
+    if (interactionState.trialStart === null || experimentEnded || interactionState.terminated) return;
+
+    const event = { type: type, t: Math.round(performance.now() - interactionState.trialStart) };
+    if (type === 'resize') {
+        event.width = window.innerWidth;
+        event.height = window.innerHeight;
+    }
+    interactionState.events.push(event);
+    console.log('Interaction during trial:', event);
+
+    if (!disrupts) return;
+    interactionState.counts[type]++;
+
+    const policy = EXPERIMENTS_CONFIG.interactionPolicy;
+    if (policy === 'terminate' && !inPracticeMode) {
+        terminateExperimentDueToInteraction();
+    } else {
+        showInteractionWarning();
+    }
+}
+
+/**
+ * Whether the current trial may still be repeated under the 'repeat' policy
+ * @returns {boolean}
+ */
+function canRepeatTrial() {
+    return EXPERIMENTS_CONFIG.interactionPolicy === 'repeat' && !inPracticeMode &&
+        interactionState.attempt <= EXPERIMENTS_CONFIG.maxInteractionRepeats;
+}
+
+/**
+ * Show a warning about leaving or resizing the window (once at a time)
+ */
+function showInteractionWarning() {
+    if (document.getElementById('interaction-warning-overlay')) return;
+
+    let consequence;
+    if (inPracticeMode) {
+        consequence = EXPERIMENTS_CONFIG.interactionPolicy === 'terminate'
+            ? 'This is just a practice round, so you can continue. However, during the main experiment, <strong>leaving or resizing the window will terminate the experiment</strong>.'
+            : 'This is just a practice round, so you can continue.';
+    } else if (canRepeatTrial()) {
+        consequence = 'This trial will be <strong>repeated</strong>.';
+    } else {
+        consequence = 'Please keep this window in focus for the rest of the study.';
+    }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'interaction-warning-overlay';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.8);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+    `;
+    overlay.innerHTML = `
+        <div style="background: white; padding: 40px; border-radius: 10px; max-width: 500px; text-align: center;">
+            <h2 style="color: #ffc107; margin-top: 0;">Warning: You Left the Experiment</h2>
+            <p style="font-size: 16px; line-height: 1.6;">
+                Switching tabs or windows, or resizing the window, during a trial means we cannot be sure what you saw.
+            </p>
+            <p style="font-size: 14px; color: #666;">${consequence}</p>
+            <button id="interaction-warning-continue" style="
+                margin-top: 15px;
+                padding: 12px 30px;
+                font-size: 16px;
+                background: #007bff;
+                color: white;
+                border: none;
+                border-radius: 5px;
+                cursor: pointer;
+            ">I Understand - Continue</button>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    document.getElementById('interaction-warning-continue').addEventListener('click', () => {
+        overlay.remove();
+    });
+}
+
+/**
+ * Terminate the experiment because the participant left or resized the window
+ */
+function terminateExperimentDueToInteraction() {
+    if (interactionState.terminated) return;
+    interactionState.terminated = true;
+    if (typeof setSessionEndReason === 'function') {
+        setSessionEndReason('terminated_interaction');
+    }
+
+    const overlay = document.createElement('div');
+    overlay.id = 'interaction-termination-overlay';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.9);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+    `;
+    overlay.innerHTML = `
+        <div style="background: white; padding: 40px; border-radius: 10px; max-width: 500px; text-align: center;">
+            <h2 style="color: #dc3545; margin-top: 0;">Experiment Terminated</h2>
+            <p style="font-size: 16px; line-height: 1.6;">
+                The experiment has been terminated because you <strong>switched tabs or windows, or resized the window</strong> during a trial.
+            </p>
+            <p style="font-size: 14px; color: #666;">
+                The study window must stay in focus, at the same size, while faces are shown.
+            </p>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    interactionState.jsPsych.endExperiment('Experiment terminated: Window left or resized during a trial.');
+}
+
+/**
+ * Begin monitoring a trial (also called for each repeat)
+ */
+function startInteractionTrial() {
+    interactionState.attempt = interactionState.repeatPending ? interactionState.attempt + 1 : 1;
+    interactionState.repeatPending = false;
+    interactionState.trialStart = performance.now();
+    interactionState.events = [];
+    interactionState.counts = { hidden: 0, blur: 0, resize: 0 };
+}
+
+/**
+ * Stop monitoring the current trial and decide whether it is repeated
+ * Call from the trial_complete/round_complete function.
+ * @returns {Object} Row fields: tab_hidden_count, blur_count, resize_count,
+ *     interaction_events (with t in ms since trial start), trial_attempt, trial_repeated
+ */
+function finishInteractionTrial() {
+    const counts = interactionState.counts;
+    const disrupted = counts.hidden + counts.blur + counts.resize > 0;
+    interactionState.repeatPending = disrupted && canRepeatTrial();
+    interactionState.trialStart = null;
+
+    return {
+        tab_hidden_count: counts.hidden,
+        blur_count: counts.blur,
+        resize_count: counts.resize,
+        interaction_events: interactionState.events.length ? JSON.stringify(interactionState.events) : '',
+        trial_attempt: interactionState.attempt,
+        trial_repeated: interactionState.repeatPending
+    };
+}
+
+/**
+ * Wrap a trial/round timeline so it is monitored (and repeated under the 'repeat' policy)
+ * @param {Array} timeline - The trial's timeline, ending with its record function
+ * @returns {Object} jsPsych timeline object
+ */
+function createMonitoredTrial(timeline) {
+    return {
+        timeline: timeline,
+        on_timeline_start: startInteractionTrial,
+        loop_function: function() {
+            return interactionState.repeatPending;
+        }
+    };
+}
+
+/**
+ * Interaction policy of this session, for the exported data
+ * @returns {Object} interaction_policy
+ */
+function getInteractionData() {
+    return {
+        interaction_policy: EXPERIMENTS_CONFIG.interactionPolicy
+    };
+}
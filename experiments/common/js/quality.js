@@ -0,0 +1,86 @@
+/**
+ * Data-Quality Flags
+ *
+ * Flags computed in the browser, so careless sessions can be filtered in the
+ * sheet without recomputing anything. Each trial/round row gets boolean
+ * flag_* columns as it is recorded:
+ *   flag_timed_out  - a question or rating screen timed out
+ *   flag_fast_rt    - an answer came faster than QUALITY_CONFIG.fastRtMs
+ *   flag_focus_lost - the participant switched tabs or left the window
+ * plus the experiment's own flags (Experiment 2: flag_total_mismatch,
+ * Experiment 3: flag_straightlined). Main rows are tallied into the session's
+ * quality report, which is sent as `quality` with the session_end payload
+ * (and the download fallback).
+ */
+
+const QUALITY_CONFIG = {
+    // Answers faster than this cannot have followed reading the question
+    fastRtMs: 250
+};
+
+const qualityState = {
+    rows: 0,
+    flaggedRows: 0,
+    answers: 0,
+    timedOut: 0,
+    fastRts: 0,
+    flagRows: {}
+};
+
+/**
+ * Flag a trial/round row and tally it for the session report (main rows only)
+ * @param {Object} row - The row's is_practice and interaction counts
+ *     (tab_hidden_count, blur_count, see common/js/interaction-monitor.js)
+ * @param {Array<Object>} answers - The row's answers: { timedOut, rt }
+ * @param {Object} [extraFlags] - Experiment-specific flags, e.g. { flag_straightlined: true }
+ * @returns {Object} Row fields: flag_timed_out, flag_fast_rt, flag_focus_lost and the extra flags
+ */
+function getQualityFlags(row, answers, extraFlags = {}) {
+    const timedOut = answers.filter(answer => answer.timedOut).length;
+    const fastRts = answers.filter(answer =>
+        !answer.timedOut && answer.rt !== null && answer.rt < QUALITY_CONFIG.fastRtMs
+    ).length;
+
+    const flags = {
+        flag_timed_out: timedOut > 0,
+        flag_fast_rt: fastRts > 0,
+        flag_focus_lost: (row.tab_hidden_count || 0) + (row.blur_count || 0) > 0,
+        ...extraFlags
+    };
+
+    if (!row.is_practice) {
+        qualityState.rows++;
+        qualityState.answers += answers.length;
+        qualityState.timedOut += timedOut;
+        qualityState.fastRts += fastRts;
+        if (Object.values(flags).some(Boolean)) {
+            qualityState.flaggedRows++;
+        }
+        for (const [name, value] of Object.entries(flags)) {
+            qualityState.flagRows[name] = (qualityState.flagRows[name] || 0) + (value ? 1 : 0);
+        }
+    }
+    return flags;
+}
+
+/**
+ * Quality report of this session's main rows so far
+ * @returns {Object} rows, flagged_rows, timed_out_rate and fast_rt_rate (per
+ *     answer), one {flag}_rows count per flag (e.g. focus_lost_rows) and
+ *     zoom_check_bypassed
+ */
+function getQualityReport() {
+    const rate = (count, total) => (total > 0 ? Math.round(count / total * 1000) / 1000 : null);
+
+    const report = {
+        rows: qualityState.rows,
+        flagged_rows: qualityState.flaggedRows,
+        timed_out_rate: rate(qualityState.timedOut, qualityState.answers),
+        fast_rt_rate: rate(qualityState.fastRts, qualityState.answers)
+    };
+    for (const [name, count] of Object.entries(qualityState.flagRows)) {
+        report[`${name.replace(/^flag_/, '')}_rows`] = count;
+    }
+    report.zoom_check_bypassed = typeof zoomCheckBypassed !== 'undefined' && zoomCheckBypassed;
+    return report;
+}
@@ -0,0 +1,110 @@
+/**
+ * Seeded Randomisation
+ *
+ * Every random choice in the experiments (stimulus assignment, grids,
+ * question, option and trait orders) goes through this PRNG, so a session
+ * can be reconstructed from its seed. The seed defaults to the participant
+ * ID, is sent with every payload as `random_seed`, and can be forced with
+ * ?seed= to replay a session in the browser. `node tools/replay-session.js`
+ * regenerates a session's planned trials offline.
+ */
+
+const RANDOM_STATE = {
+    seed: null,
+    next: null
+};
+
+/**
+ * Hash a seed string to a 32-bit integer (FNV-1a)
+ * @param {string} seed - Seed string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+    let hash = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a mulberry32 generator
+ * @param {number} state - 32-bit initial state
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function mulberry32(state) {
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Seed the PRNG; the same seed always produces the same sequence
+ * @param {string} seed - Seed string
+ * @returns {string} The seed
+ */
+function setRandomSeed(seed) {
+    RANDOM_STATE.seed = String(seed);
+    RANDOM_STATE.next = mulberry32(hashSeed(RANDOM_STATE.seed));
+    return RANDOM_STATE.seed;
+}
+
+/**
+ * Seed the PRNG for this page: ?seed= URL parameter, else the given default
+ * @param {string} defaultSeed - Seed to use normally (the participant ID)
+ * @returns {string} The seed in use
+ */
+function initRandomSeed(defaultSeed) {
+    const fromUrl = new URLSearchParams(window.location.search).get('seed');
+    if (fromUrl) {
+        console.log('Using random seed from URL parameter:', fromUrl);
+        return setRandomSeed(fromUrl);
+    }
+    return setRandomSeed(defaultSeed);
+}
+
+/**
+ * Seed the session was generated from
+ * @returns {string|null} Seed, or null before seeding
+ */
+function getRandomSeed() {
+    return RANDOM_STATE.seed;
+}
+
+/**
+ * Next random float in [0, 1)
+ * @returns {number}
+ */
+function randomUnit() {
+    if (!RANDOM_STATE.next) {
+        throw new Error('Random seed not set - call initRandomSeed() first');
+    }
+    return RANDOM_STATE.next();
+}
+
+/**
+ * Random boolean that is true with the given probability
+ * @param {number} probability - Chance of true (default: 0.5)
+ * @returns {boolean}
+ */
+function randomChance(probability = 0.5) {
+    return randomUnit() < probability;
+}
+
+/**
+ * Shuffled copy of an array (Fisher-Yates)
+ * @param {Array} array - Items to shuffle (not modified)
+ * @returns {Array} New array in random order
+ */
+function randomShuffle(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(randomUnit() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
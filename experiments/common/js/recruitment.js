@@ -0,0 +1,184 @@
+/**
+ * Recruitment Panel Integration
+ *
+ * Reads the participant, study and session IDs a recruitment panel (Prolific,
+ * MTurk, SONA) appends to the study link, sends them with every payload, and
+ * returns the participant to the panel when the session ends: with the
+ * completion code when they finished, with the screened-out code when they
+ * declined consent or were terminated (zoom change, leaving the window).
+ * Codes and credit URLs are set per experiment in
+ * EXPERIMENTS_CONFIG.recruitment. Without panel parameters in the URL nothing
+ * changes. SONA studies pass the survey code as ?sona_id=%SURVEY_CODE%, so a
+ * plain ?id= is not taken for a SONA link; MTurk previews (before the HIT is
+ * accepted) only show a notice.
+ */
+
+// URL parameters each panel adds to the study link, and where it expects
+// participants to be sent back to
+const RECRUITMENT_PLATFORMS = {
+    prolific: {
+        params: { participant: 'PROLIFIC_PID', study: 'STUDY_ID', session: 'SESSION_ID' },
+        label: 'Prolific',
+        redirectUrl: function(outcome, settings) {
+            const code = outcome === 'completed' ? settings.completionCode : settings.screenedOutCode;
+            return code ? `https://app.prolific.com/submissions/complete?cc=${encodeURIComponent(code)}` : null;
+        }
+    },
+    mturk: {
+        params: { participant: 'workerId', study: 'hitId', session: 'assignmentId' },
+        label: 'MTurk',
+        redirectUrl: function(outcome, settings, recruitment) {
+            // External HITs are submitted back to the sandbox or live site MTurk passed in
+            const code = outcome === 'completed' ? settings.completionCode : settings.screenedOutCode;
+            if (!code || !recruitment.submitTo) return null;
+            const url = new URL('/mturk/externalSubmit', recruitment.submitTo);
+            url.searchParams.set('assignmentId', recruitment.sessionId);
+            url.searchParams.set('completion_code', code);
+            return url.toString();
+        }
+    },
+    sona: {
+        params: { participant: 'sona_id', study: null, session: null },
+        label: 'SONA',
+        redirectUrl: function(outcome, settings, recruitment) {
+            // SONA only grants credit; screened-out participants are not sent back
+            if (outcome !== 'completed' || !settings.sonaCreditUrl) return null;
+            return settings.sonaCreditUrl.replace('{participant}', encodeURIComponent(recruitment.participantId));
+        }
+    }
+};
+
+// Panel this session came from: { platform, participantId, studyId, sessionId, submitTo, experiment }
+let recruitmentSession = null;
+
+// MTurk shows the study in a preview before the worker accepts the HIT
+const MTURK_PREVIEW_ASSIGNMENT = 'ASSIGNMENT_ID_NOT_AVAILABLE';
+let recruitmentPreview = false;
+
+/**
+ * Detect the recruitment panel from the URL parameters
+ * @param {string} experiment - Experiment name, selects the codes in EXPERIMENTS_CONFIG.recruitment
+ * @returns {Object|null} The recruitment session, or null when not recruited through a panel
+ */
+function initRecruitment(experiment) {
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.get('assignmentId') === MTURK_PREVIEW_ASSIGNMENT) {
+        recruitmentPreview = true;
+        console.log('MTurk preview: the study starts once the HIT is accepted');
+        return null;
+    }
+
+    for (const [platform, definition] of Object.entries(RECRUITMENT_PLATFORMS)) {
+        const participantId = params.get(definition.params.participant);
+        if (!participantId) continue;
+
+        recruitmentSession = {
+            platform: platform,
+            participantId: participantId,
+            studyId: definition.params.study ? params.get(definition.params.study) : null,
+            sessionId: definition.params.session ? params.get(definition.params.session) : null,
+            submitTo: params.get('turkSubmitTo'),
+            experiment: experiment
+        };
+        console.log(`Recruited through ${definition.label}:`, recruitmentSession);
+        return recruitmentSession;
+    }
+    return null;
+}
+
+/**
+ * Whether this is an MTurk preview, where the study must not start
+ * @returns {boolean}
+ */
+function isRecruitmentPreview() {
+    return recruitmentPreview;
+}
+
+/**
+ * Replace the page with a notice that the HIT must be accepted first
+ */
+function showRecruitmentPreview() {
+    document.body.innerHTML = `
+        <div style="max-width: 600px; margin: 80px auto; padding: 40px; background: white; border-radius: 10px; text-align: center; font-family: sans-serif;">
+            <h2 style="margin-top: 0;">Preview</h2>
+            <p style="font-size: 16px; line-height: 1.6;">Please accept the HIT to take part in this study.</p>
+        </div>
+    `;
+}
+
+/**
+ * Privacy statement for the consent form: panel IDs are stored with the data
+ * @returns {string} HTML
+ */
+function getRecruitmentPrivacyNotice() {
+    if (!recruitmentSession) {
+        return 'Responses are anonymous. No identifying information is collected.';
+    }
+    const label = RECRUITMENT_PLATFORMS[recruitmentSession.platform].label;
+    return `We do not collect your name or contact details. Your ${label} ID is stored with your responses so that your participation can be confirmed with ${label}; it is only available to the research team.`;
+}
+
+/**
+ * Panel return URL for this session
+ * @param {string} outcome - 'completed' or 'screened_out'
+ * @returns {string|null} URL, or null when there is nowhere to return to
+ */
+function getRecruitmentRedirectUrl(outcome) {
+    if (!recruitmentSession) return null;
+
+    const settings = (EXPERIMENTS_CONFIG.recruitment || {})[recruitmentSession.experiment] || {};
+    return RECRUITMENT_PLATFORMS[recruitmentSession.platform].redirectUrl(outcome, settings, recruitmentSession);
+}
+
+/**
+ * Add a line to the submission status screen
+ * @param {string} html - Content of the line
+ */
+function appendRecruitmentNotice(html) {
+    const container = document.body.querySelector('div > div') || document.body;
+    const notice = document.createElement('p');
+    notice.innerHTML = html;
+    container.appendChild(notice);
+}
+
+/**
+ * Send the participant back to their panel once their data is delivered
+ * @param {string} outcome - 'completed' or 'screened_out'
+ * @returns {boolean} Whether a redirect was scheduled
+ */
+function redirectToRecruitment(outcome) {
+    const url = getRecruitmentRedirectUrl(outcome);
+    if (!url) return false;
+
+    const label = RECRUITMENT_PLATFORMS[recruitmentSession.platform].label;
+    appendRecruitmentNotice(`Returning you to ${label}... If nothing happens, <a href="${url}">click here</a>.`);
+    setTimeout(() => window.location.assign(url), 1500);
+    return true;
+}
+
+/**
+ * Offer the panel return link without leaving the page, e.g. when the data
+ * could not be delivered and the download buttons must stay visible
+ * @param {string} outcome - 'completed' or 'screened_out'
+ */
+function showRecruitmentReturnLink(outcome) {
+    const url = getRecruitmentRedirectUrl(outcome);
+    if (!url) return;
+
+    const label = RECRUITMENT_PLATFORMS[recruitmentSession.platform].label;
+    appendRecruitmentNotice(`<a href="${url}" class="jspsych-btn">Return to ${label}</a>`);
+}
+
+/**
+ * Panel identifiers of this session, for the exported data
+ * @returns {Object} recruitment_platform and platform_* IDs, null when not recruited through a panel
+ */
+function getRecruitmentData() {
+    return {
+        recruitment_platform: recruitmentSession ? recruitmentSession.platform : null,
+        platform_participant_id: recruitmentSession ? recruitmentSession.participantId : null,
+        platform_study_id: recruitmentSession ? recruitmentSession.studyId : null,
+        platform_session_id: recruitmentSession ? recruitmentSession.sessionId : null
+    };
+}
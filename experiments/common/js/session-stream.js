@@ -0,0 +1,214 @@
+/**
+ * Session Streaming
+ *
+ * Streams a session to the collector, shared by every experiment's
+ * js/data-export.js: a session_start payload with the session-level fields,
+ * one row payload per recorded trial/round as soon as it finishes, and a
+ * session_end marker with the same fields as they stand at the end. Every
+ * payload is tagged with the session id and a sequence number and delivered
+ * through the outbox in common/js/submission.js. Row payloads only carry what
+ * the row sheets repeat on every row (participant, demographics, zoom
+ * tracking); everything else is on the sessions sheet.
+ *
+ * Each experiment's data-export.js provides DATA_EXPORT_CONFIG, its row
+ * mapper, getExperimentSessionData() and buildExportPayload().
+ */
+
+// ============================================================================
+// SESSION STATE
+// ============================================================================
+
+// Every payload from this page carries the session id and a sequence number,
+// so the backend can reassemble sessions that never reached the end
+const EXPORT_SESSION = {
+    id: createSubmissionId(),
+    sequence: 0,
+    rowsStreamed: 0,
+    endReason: 'completed',
+    // Every outbox entry of this session, kept in memory so that flushSession
+    // does not depend on localStorage (which may be full or disabled)
+    submissions: []
+};
+
+/**
+ * Record why the session ended (sent in the session_end payload)
+ * @param {string} reason - 'completed', 'declined_consent', 'terminated_zoom',
+ *     'terminated_interaction' or 'failed_attention_checks'
+ */
+function setSessionEndReason(reason) {
+    EXPORT_SESSION.endReason = reason;
+}
+
+/**
+ * Why the session ended
+ * @returns {string} 'completed', 'declined_consent', 'terminated_zoom',
+ *     'terminated_interaction' or 'failed_attention_checks'
+ */
+function getSessionEndReason() {
+    return EXPORT_SESSION.endReason;
+}
+
+// ============================================================================
+// SESSION FIELDS
+// ============================================================================
+
+/**
+ * Find the demographics responses (survey-html-form stores them in 'response')
+ * @param {Array} allData - All jsPsych trial data
+ * @returns {Object} - Demographics responses, empty if not collected yet
+ */
+function getDemographics(allData) {
+    const demographicsEntry = allData.find(d =>
+        d.trial_type === 'survey-html-form' && d.response && d.response.age !== undefined
+    );
+    return demographicsEntry ? demographicsEntry.response : {};
+}
+
+/**
+ * Current zoom tracking state, if the experiment provides it
+ * @returns {Object} - Zoom tracking data
+ */
+function getZoomTracking() {
+    return typeof getZoomTrackingData === 'function' ? getZoomTrackingData() : {};
+}
+
+/**
+ * Session-level fields for the sessions sheet and the download payload
+ * @returns {Object} Seed, recruitment, calibration, timing, interaction,
+ *     attention check and stimulus fields, then the experiment's own
+ *     (getExperimentSessionData)
+ */
+function getSessionFields() {
+    return {
+        random_seed: getRandomSeed(),
+        ...getRecruitmentData(),
+        ...getCalibrationData(),
+        ...getTimingData(),
+        ...getInteractionData(),
+        ...getAttentionCheckData(),
+        ...getStimulusLoadData(),
+        ...getStimulusVerificationData(),
+        ...getStimulusRenderingData(),
+        ...getExperimentSessionData()
+    };
+}
+
+// ============================================================================
+// STREAMING
+// ============================================================================
+
+/**
+ * Wrap fields in the session envelope and queue them for delivery
+ * @param {Object} jsPsych - The jsPsych instance
+ * @param {string} participantId - The participant's ID
+ * @param {string} payloadType - 'session_start', 'row' or 'session_end'
+ * @param {Object} fields - Payload-specific fields
+ * @returns {Promise<boolean>} - Whether the endpoint acknowledged the payload
+ */
+function streamPayload(jsPsych, participantId, payloadType, fields) {
+    if (!DATA_EXPORT_CONFIG.googleSheetsUrl) {
+        return Promise.resolve(false);
+    }
+
+    EXPORT_SESSION.sequence++;
+    const payload = {
+        experiment: DATA_EXPORT_CONFIG.experiment,
+        payload_type: payloadType,
+        session_id: EXPORT_SESSION.id,
+        sequence: EXPORT_SESSION.sequence,
+        submission_id: createSubmissionId(),
+        participant_id: participantId,
+        ...(payloadType === 'row' ? {} : getSessionFields()),
+        timestamp: new Date().toISOString(),
+        demographics: getDemographics(jsPsych.data.get().values()),
+        zoom_tracking: getZoomTracking(),
+        ...fields
+    };
+
+    const entry = enqueueSubmission(DATA_EXPORT_CONFIG.googleSheetsUrl, payload);
+    EXPORT_SESSION.submissions.push(entry);
+    return deliverSubmission(entry);
+}
+
+/**
+ * Announce the session to the collector once demographics are known
+ * @param {Object} jsPsych - The jsPsych instance
+ * @param {string} participantId - The participant's ID
+ */
+function streamSessionStart(jsPsych, participantId) {
+    streamPayload(jsPsych, participantId, 'session_start', {});
+}
+
+/**
+ * Push rows to the collector as soon as they are recorded
+ * @param {Object} jsPsych - The jsPsych instance
+ * @param {string} participantId - The participant's ID
+ * @param {Object} rows - The rows under the experiment's key, e.g. { trials: [row] }
+ */
+function streamRows(jsPsych, participantId, rows) {
+    EXPORT_SESSION.rowsStreamed++;
+    streamPayload(jsPsych, participantId, 'row', rows);
+}
+
+/**
+ * Wait until every payload of this session has been acknowledged,
+ * including rows whose earlier delivery attempts ran out
+ * @returns {Promise<boolean>} - Whether every payload of this session was acknowledged
+ */
+async function flushSession() {
+    const results = await Promise.all(EXPORT_SESSION.submissions.map(deliverSubmission));
+    return results.every(Boolean);
+}
+
+// ============================================================================
+// SESSION END
+// ============================================================================
+
+/**
+ * Close the session on Google Sheets: send the session_end marker with the
+ * session's quality report (see common/js/quality.js) and wait for
+ * every streamed row of this session to be acknowledged
+ * @param {Object} jsPsych - The jsPsych instance
+ * @param {string} participantId - The participant's ID
+ * @returns {Promise<boolean>} - Whether the endpoint acknowledged all session data
+ */
+async function sendToGoogleSheets(jsPsych, participantId) {
+    if (!DATA_EXPORT_CONFIG.googleSheetsUrl) {
+        console.warn('Google Sheets URL not configured. Falling back to local download.');
+        return false;
+    }
+
+    streamPayload(jsPsych, participantId, 'session_end', {
+        end_reason: EXPORT_SESSION.endReason,
+        rows_streamed: EXPORT_SESSION.rowsStreamed,
+        quality: getQualityReport()
+    });
+    return flushSession();
+}
+
+// ============================================================================
+// MAIN EXPORT FUNCTION
+// ============================================================================
+
+/**
+ * Export experiment data to Google Sheets
+ * @param {Object} jsPsych - The jsPsych instance
+ * @param {string} participantId - The participant's ID
+ * @param {Function} onComplete - Callback when export is complete
+ * @param {Function} onError - Callback if export fails, given the message and the
+ *                             payload so it can be offered as a local download
+ */
+async function exportData(jsPsych, participantId, onComplete, onError) {
+    // Rows were streamed as they happened; the full payload is kept for the download fallback
+    const payload = buildExportPayload(jsPsych, participantId);
+    const success = await sendToGoogleSheets(jsPsych, participantId);
+
+    if (success) {
+        if (onComplete) onComplete('sheets');
+    } else {
+        const message = DATA_EXPORT_CONFIG.googleSheetsUrl
+            ? 'Submission not acknowledged; kept in outbox for retry'
+            : 'Google Sheets URL not configured';
+        if (onError) onError(message, payload);
+    }
+}
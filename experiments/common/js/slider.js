@@ -0,0 +1,77 @@
+/**
+ * 0-100 Slider Widget
+ *
+ * Sliders for jsPsych survey-html-form screens (Experiment 3's trait ratings,
+ * Experiment 1's confidence ratings). A slider starts with a grey thumb and no
+ * value shown, so an untouched slider cannot pass for a rating of 50, and the
+ * form's submit button stays disabled until every slider on the screen has
+ * been moved. Styles: .slider-container and related rules in each
+ * experiment's css/experiment.css.
+ */
+
+/**
+ * Build the HTML for one slider
+ * @param {string} name - Input name and ID (the key in the form's response)
+ * @param {string} label - Question shown above the slider
+ * @param {string} lowAnchor - Label at 0
+ * @param {string} highAnchor - Label at 100
+ * @returns {string} HTML string
+ */
+function buildSliderHTML(name, label, lowAnchor, highAnchor) {
+    return `
+        <div class="slider-container">
+            <label>${label}</label>
+            <div class="slider-wrapper">
+                <input type="range" id="${name}" name="${name}"
+                       min="0" max="100" value="50" step="1">
+                <div class="slider-anchors">
+                    <span>${lowAnchor}</span>
+                    <span>${highAnchor}</span>
+                </div>
+                <div class="slider-value placeholder" id="${name}_display">Move the slider</div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Track interaction with the sliders on the current screen - call from on_load
+ * @param {Array<string>} names - Names passed to buildSliderHTML
+ */
+function initSliders(names) {
+    const interacted = {};
+
+    // Update slider fill percentage CSS variable
+    function updateSliderFill(slider) {
+        const percent = ((slider.value - slider.min) / (slider.max - slider.min)) * 100;
+        slider.style.setProperty('--slider-percent', percent + '%');
+    }
+
+    // Disable submit until every slider has been interacted with
+    const submitBtn = document.querySelector('#jspsych-survey-html-form-next');
+    if (submitBtn) {
+        submitBtn.disabled = true;
+        submitBtn.style.opacity = '0.5';
+    }
+
+    for (const name of names) {
+        const slider = document.getElementById(name);
+        const display = document.getElementById(`${name}_display`);
+        interacted[name] = false;
+
+        slider.addEventListener('input', function() {
+            if (!interacted[name]) {
+                interacted[name] = true;
+                slider.classList.add('slider-interacted');
+                display.classList.remove('placeholder');
+            }
+            display.textContent = this.value;
+            updateSliderFill(this);
+
+            if (submitBtn && Object.values(interacted).every(Boolean)) {
+                submitBtn.disabled = false;
+                submitBtn.style.opacity = '1';
+            }
+        });
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * Stimulus Manifests
+ *
+ * Which faces an experiment can show, and which image file shows each face
+ * in each expression and size, come from a JSON manifest next to the images
+ * (images/manifest.json, practice_images/manifest.json) instead of file-name
+ * conventions in each stimuli.js. A new face database, more races or IDs, or
+ * other image formats only need a new manifest. Format:
+ *
+ *   {
+ *     "name": "Face database",
+ *     "faces": [
+ *       {
+ *         "id": "black_male_01",
+ *         "attributes": { "race": "black", "gender": "male" },
+ *         "variants": [
+ *           { "expression": "smile", "size": "big",
+ *             "file": "black_male_smile_01_big.jpeg", "sha256": "..." },
+ *           ...
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * `file` is relative to the manifest and `sha256` is the file's checksum.
+ * `node tools/build-manifest.js <folder>` writes a manifest for images named
+ * {race}_{gender}_{expression}_{id}_{size}.{ext}. Manifests are checked when
+ * they load: a face without a required attribute or variant stops the
+ * experiment with an error naming it.
+ */
+
+/**
+ * Fetch and check a stimulus manifest
+ * @param {string} url - Manifest URL, relative to the experiment page
+ * @param {Object} requirements - What every face must have: attributes
+ *     (names), expressions and sizes (every combination must have a file)
+ * @returns {Promise<Object>} Stimulus set, see parseStimulusManifest()
+ */
+async function loadStimulusManifest(url, requirements) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Stimulus manifest ${url} could not be loaded: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Stimulus manifest ${url} could not be loaded (HTTP ${response.status})`);
+    }
+
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        throw new Error(`Stimulus manifest ${url} is not valid JSON: ${error.message}`);
+    }
+    return parseStimulusManifest(manifest, url, requirements);
+}
+
+/**
+ * Check a manifest and resolve its file paths
+ * @param {Object} manifest - Parsed manifest JSON
+ * @param {string} url - Where the manifest was loaded from (file paths are relative to it)
+ * @param {Object} requirements - See loadStimulusManifest()
+ * @returns {Object} { name, url, faces: [{ id, ...attributes, variants }] } with
+ *     variants keyed `${expression}_${size}`: { expression, size, path, sha256 }
+ */
+function parseStimulusManifest(manifest, url, requirements) {
+    const fail = message => {
+        throw new Error(`Stimulus manifest ${url}: ${message}`);
+    };
+    if (!manifest || !Array.isArray(manifest.faces) || manifest.faces.length === 0) {
+        fail('no "faces" list');
+    }
+
+    const baseUrl = url.slice(0, url.lastIndexOf('/') + 1);
+    const seen = new Set();
+
+    const faces = manifest.faces.map((entry, index) => {
+        if (!entry.id) {
+            fail(`face ${index + 1} has no "id"`);
+        }
+        if (seen.has(entry.id)) {
+            fail(`face ${entry.id} is listed twice`);
+        }
+        seen.add(entry.id);
+
+        const attributes = entry.attributes || {};
+        for (const name of requirements.attributes || []) {
+            if (attributes[name] === undefined) {
+                fail(`face ${entry.id} has no "${name}" attribute`);
+            }
+        }
+
+        const variants = {};
+        for (const variant of entry.variants || []) {
+            if (!variant.expression || !variant.size || !variant.file) {
+                fail(`face ${entry.id} has a variant without "expression", "size" or "file"`);
+            }
+            variants[`${variant.expression}_${variant.size}`] = {
+                expression: variant.expression,
+                size: variant.size,
+                path: baseUrl + variant.file,
+                sha256: variant.sha256 || null
+            };
+        }
+
+        const missing = [];
+        for (const expression of requirements.expressions || []) {
+            for (const size of requirements.sizes || []) {
+                if (!variants[`${expression}_${size}`]) {
+                    missing.push(`${expression}/${size}`);
+                }
+            }
+        }
+        if (missing.length > 0) {
+            fail(`face ${entry.id} has no image for ${missing.join(', ')}`);
+        }
+
+        return { ...attributes, id: entry.id, variants: variants };
+    });
+
+    return { name: manifest.name || url, url: url, faces: faces };
+}
+
+/**
+ * Find a face of a stimulus set
+ * @param {Object} stimulusSet - From loadStimulusManifest()
+ * @param {string} faceId - Face ID
+ * @returns {Object} The face
+ */
+function getManifestFace(stimulusSet, faceId) {
+    const face = stimulusSet.faces.find(f => f.id === faceId);
+    if (!face) {
+        throw new Error(`Stimulus manifest ${stimulusSet.url}: no face ${faceId}`);
+    }
+    return face;
+}
+
+/**
+ * Whether a face has an image for an expression and size
+ * @param {Object} face - Face of a stimulus set
+ * @param {string} expression - e.g. 'smile' or 'nosmile'
+ * @param {string} size - e.g. 'big' or 'small'
+ * @returns {boolean}
+ */
+function hasManifestVariant(face, expression, size) {
+    return Boolean(face.variants[`${expression}_${size}`]);
+}
+
+/**
+ * Image path of a face in an expression and size
+ * @param {Object} stimulusSet - From loadStimulusManifest()
+ * @param {string} faceId - Face ID
+ * @param {string} expression - e.g. 'smile' or 'nosmile'
+ * @param {string} size - e.g. 'big' or 'small'
+ * @returns {string} Image path
+ */
+function getManifestImagePath(stimulusSet, faceId, expression, size) {
+    const face = getManifestFace(stimulusSet, faceId);
+    if (!hasManifestVariant(face, expression, size)) {
+        throw new Error(`Stimulus manifest ${stimulusSet.url}: face ${faceId} has no image for ${expression}/${size}`);
+    }
+    return face.variants[`${expression}_${size}`].path;
+}
+
+/**
+ * Find the manifest entry of an image path
+ * @param {Array<Object>} sets - Stimulus sets to search
+ * @param {string} imagePath - Image path, as returned by getManifestImagePath()
+ * @returns {Object|null} { face, variant } or null if no set lists the path
+ */
+function findManifestVariant(sets, imagePath) {
+    for (const set of sets) {
+        for (const face of set.faces) {
+            const variant = Object.values(face.variants).find(v => v.path === imagePath);
+            if (variant) {
+                return { face: face, variant: variant };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Image name for the data: the file name without its extension
+ * @param {string} imagePath - Image path
+ * @returns {string} e.g. 'black_male_smile_01_big'
+ */
+function getImageName(imagePath) {
+    const fileName = imagePath.slice(imagePath.lastIndexOf('/') + 1);
+    return fileName.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Replace the page with an error when the stimuli cannot be used
+ * @param {Error} error - Error from loading or checking a manifest
+ */
+function showStimulusManifestError(error) {
+    console.error(error);
+    document.body.innerHTML = `
+        <div style="max-width: 600px; margin: 80px auto; padding: 40px; background: white; border-radius: 10px; text-align: center; font-family: sans-serif;">
+            <h2 style="color: #dc3545; margin-top: 0;">The study could not be started</h2>
+            <p style="font-size: 16px; line-height: 1.6;">The images for this study could not be loaded. Please contact the researchers.</p>
+            <p style="font-size: 13px; color: #666; word-break: break-word;">${error.message}</p>
+        </div>
+    `;
+}
@@ -0,0 +1,266 @@
+/**
+ * Stimulus Preloading and Missing Images
+ *
+ * Every image of the stimulus sets is loaded before the timeline is built,
+ * so trials never show a broken image while being scored as if the face was
+ * seen. Failed paths are kept in preloadState and sent as `failed_images`
+ * with the session data. Each experiment's applyImageFallbacks() then fixes
+ * the session plan, according to EXPERIMENTS_CONFIG.missingImages:
+ *   'replace'     - a trial whose image failed shows an equivalent face whose
+ *                   image loaded (same race, and gender or smile where the
+ *                   experiment needs it), or is left out if there is none;
+ *                   left-out trials are sent as `dropped_stimuli`
+ *   'placeholder' - demo mode: the image is swapped for a drawn placeholder
+ *                   face and every page shows a "Demo mode" banner. Also
+ *                   turned on with ?demo=1, e.g. to try the experiments
+ *                   without the image folders.
+ * Rows of affected trials get `stimulus_load_failed`, and `replaced_individual_id`
+ * where another face was shown.
+ */
+
+const PRELOAD_CONFIG = {
+    // Images still loading after this long count as failed
+    timeoutMs: 30000
+};
+
+const preloadState = {
+    failed: new Set(),
+    // Every image that loaded, by path: checked by common/js/stimulus-verify.js
+    // and drawn by common/js/stimulus-render.js
+    loaded: new Map(),
+    // Trials or rounds left out because no face could replace a failed image
+    dropped: []
+};
+
+/**
+ * What to do with trials whose image failed to load
+ * @returns {string} 'replace' or 'placeholder'
+ */
+function getMissingImagesMode() {
+    if (new URLSearchParams(window.location.search).get('demo') === '1') {
+        return 'placeholder';
+    }
+    return EXPERIMENTS_CONFIG.missingImages === 'placeholder' ? 'placeholder' : 'replace';
+}
+
+/**
+ * Whether missing images are drawn as placeholders (demo mode)
+ * @returns {boolean}
+ */
+function isPlaceholderMode() {
+    return getMissingImagesMode() === 'placeholder';
+}
+
+/**
+ * Load and decode one image
+ * @param {string} path - Image path
+ * @returns {Promise<HTMLImageElement|null>} The decoded image, or null if it
+ *     could not be loaded or decoded
+ */
+function loadStimulusImage(path) {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => {
+            const decoded = image.decode ? image.decode() : Promise.resolve();
+            decoded.then(
+                () => resolve(image),
+                () => resolve(null)
+            );
+        };
+        image.onerror = () => resolve(null);
+        image.src = path;
+    });
+}
+
+/**
+ * Load every stimulus image, showing progress, and record the ones that fail
+ * @param {Array<string>} paths - Image paths
+ * @returns {Promise<Set>} Failed paths
+ */
+async function preloadStimulusImages(paths) {
+    const status = document.createElement('div');
+    status.style.cssText = 'max-width: 600px; margin: 80px auto; text-align: center; font-family: sans-serif; font-size: 18px;';
+    document.body.appendChild(status);
+
+    let done = 0;
+    const showProgress = () => {
+        status.textContent = `Loading images... ${done} / ${paths.length}`;
+    };
+    showProgress();
+
+    const pending = new Set(paths);
+    const loads = paths.map(path => loadStimulusImage(path).then(image => {
+        pending.delete(path);
+        if (image) {
+            preloadState.loaded.set(path, image);
+        } else {
+            preloadState.failed.add(path);
+        }
+        done++;
+        showProgress();
+    }));
+
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, PRELOAD_CONFIG.timeoutMs);
+    });
+    await Promise.race([Promise.all(loads), timeout]);
+    clearTimeout(timer);
+
+    // Whatever is still loading counts as failed, even if it arrives later
+    for (const path of pending) {
+        preloadState.failed.add(path);
+    }
+    status.remove();
+
+    if (preloadState.failed.size > 0) {
+        console.warn('Failed to preload:', [...preloadState.failed]);
+    }
+    if (isPlaceholderMode()) {
+        showDemoModeBanner();
+    }
+    return preloadState.failed;
+}
+
+/**
+ * Whether an image failed to load
+ * @param {string} path - Image path
+ * @returns {boolean}
+ */
+function isImageLoadFailed(path) {
+    return preloadState.failed.has(path);
+}
+
+/**
+ * Whether an image was preloaded successfully
+ * @param {string} path - Image path
+ * @returns {boolean}
+ */
+function isImageLoaded(path) {
+    return preloadState.loaded.has(path) && !isImageLoadFailed(path);
+}
+
+/**
+ * Mark the page as a demo, so placeholder sessions cannot be mistaken for real ones
+ */
+function showDemoModeBanner() {
+    const banner = document.createElement('div');
+    banner.className = 'demo-mode-banner';
+    banner.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; z-index: 10000; padding: 6px; background: #dc3545; color: white; text-align: center; font: bold 14px sans-serif;';
+    banner.textContent = 'Demo mode: missing images are shown as placeholders. Data from this session is not valid.';
+    document.body.appendChild(banner);
+}
+
+/**
+ * Generate a placeholder image as a data URL
+ * @param {string} label - Text label for the placeholder
+ * @param {number} size - Image dimensions (square)
+ * @param {boolean} smile - Whether to show a smile
+ * @returns {string} Data URL of the placeholder image
+ */
+function generatePlaceholder(label, size, smile) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    // Gray background
+    ctx.fillStyle = '#808080';
+    ctx.fillRect(0, 0, size, size);
+
+    // Simple face
+    const centerX = size / 2;
+    const centerY = size / 2;
+    const faceRadius = size * 0.35;
+
+    // Face circle
+    ctx.fillStyle = '#A0A0A0';
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, faceRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Eyes
+    ctx.fillStyle = '#333';
+    const eyeY = centerY - faceRadius * 0.15;
+    const eyeOffset = faceRadius * 0.3;
+    ctx.beginPath();
+    ctx.arc(centerX - eyeOffset, eyeY, faceRadius * 0.08, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(centerX + eyeOffset, eyeY, faceRadius * 0.08, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Mouth
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = Math.max(2, size * 0.02);
+    ctx.beginPath();
+    const mouthY = centerY + faceRadius * 0.3;
+    if (smile) {
+        ctx.arc(centerX, mouthY - faceRadius * 0.1, faceRadius * 0.25, 0.1 * Math.PI, 0.9 * Math.PI);
+    } else {
+        ctx.moveTo(centerX - faceRadius * 0.2, mouthY);
+        ctx.lineTo(centerX + faceRadius * 0.2, mouthY);
+    }
+    ctx.stroke();
+
+    // Label
+    ctx.fillStyle = '#FFF';
+    ctx.font = `bold ${Math.max(10, size * 0.08)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.fillText(label, centerX, size - 10);
+
+    return canvas.toDataURL('image/jpeg', 0.9);
+}
+
+/**
+ * Find a face whose image for a size and expression was preloaded
+ * @param {Array<Object>} sets - Stimulus sets to search, in order
+ * @param {Array<string>} attributes - Attributes the face must share with `like`,
+ *     most important first; dropped from the end until a face is found, but
+ *     never below `minAttributes`
+ * @param {Object} like - The face to match (individual_id and its attributes)
+ * @param {Function} getPath - (set, face) => image path, or null if the face has no such image
+ * @param {Function} [isUsable] - Extra condition, e.g. not already in the same grid
+ * @param {number} [minAttributes] - Attributes that must always match (default 1)
+ * @returns {Object|null} { face, path } or null if no face qualifies
+ */
+function findReplacementFace(sets, attributes, like, getPath, isUsable = () => true, minAttributes = 1) {
+    for (let count = attributes.length; count >= minAttributes; count--) {
+        const shared = attributes.slice(0, count);
+        for (const set of sets) {
+            for (const face of set.faces) {
+                if (face.id === like.individual_id) continue;
+                if (!shared.every(name => face[name] === like[name])) continue;
+                const path = getPath(set, face);
+                if (path && isImageLoaded(path) && isUsable(face)) {
+                    return { face: face, path: path };
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Record a trial or round left out because none of its failed images could be replaced
+ * @param {Object} stimulus - What was left out: image_path, individual_id and
+ *     the condition it belonged to
+ */
+function recordDroppedStimulus(stimulus) {
+    console.warn('No replacement for missing image, left out:', stimulus.image_path);
+    preloadState.dropped.push(stimulus);
+}
+
+/**
+ * Image loading of this session, for the exported data
+ * @returns {Object} missing_images_mode ('replace' or 'placeholder'),
+ *     failed_images (JSON list of paths, null if none failed) and
+ *     dropped_stimuli (JSON list of left-out trials, null if none)
+ */
+function getStimulusLoadData() {
+    return {
+        missing_images_mode: getMissingImagesMode(),
+        failed_images: preloadState.failed.size > 0 ? JSON.stringify([...preloadState.failed]) : null,
+        dropped_stimuli: preloadState.dropped.length > 0 ? JSON.stringify(preloadState.dropped) : null
+    };
+}
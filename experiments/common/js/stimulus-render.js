@@ -0,0 +1,166 @@
+/**
+ * HiDPI-aware Stimulus Rendering
+ *
+ * An <img> at a CSS size is resampled by the browser to the display's device
+ * pixels, so on a Retina screen (devicePixelRatio 2) a 104 px image is
+ * upscaled and smoothed while a 1x screen shows it pixel for pixel, and a
+ * master image scaled to a small level keeps more of its detail on HiDPI
+ * screens. With EXPERIMENTS_CONFIG.stimulusRendering 'canvas' every face is
+ * drawn instead to a canvas at device resolution, in two steps:
+ *   1. the image is scaled to the stimulus' CSS size - what a 1x display shows
+ *   2. each of those pixels is enlarged to devicePixelRatio × devicePixelRatio
+ *      device pixels without smoothing (with smoothing for fractional ratios,
+ *      where whole pixels cannot be kept)
+ * so a condition has the same detail on every display. 'img' keeps the
+ * browser's own scaling. Rows record the file's width (stimulus_source_px) and
+ * the width of the detail shown (stimulus_detail_px).
+ *
+ * Canvases are drawn by drawStimulusCanvases() from the trial's on_load;
+ * createTimedDisplay (common/js/timing.js) does this before the first frame.
+ * Images generated during the session (e.g. backward masks) are drawn the same
+ * way once registered with registerStimulusImage().
+ */
+
+// Images scaled to a CSS size (step 1), by path and size
+const renderCache = new Map();
+
+// Generated images (canvases), by their data URL
+const generatedImages = new Map();
+
+/**
+ * How stimuli are rendered
+ * @returns {string} 'canvas' or 'img'
+ */
+function getStimulusRenderingMode() {
+    return EXPERIMENTS_CONFIG.stimulusRendering === 'img' ? 'img' : 'canvas';
+}
+
+/**
+ * Make a generated image drawable like a preloaded one
+ * @param {string} url - Its data URL, used as its path
+ * @param {HTMLCanvasElement} image - The image
+ */
+function registerStimulusImage(url, image) {
+    generatedImages.set(url, image);
+}
+
+/**
+ * Forget a generated image once it has been shown
+ * @param {string} url - Data URL it was registered with
+ */
+function releaseStimulusImage(url) {
+    generatedImages.delete(url);
+    for (const key of renderCache.keys()) {
+        if (key.startsWith(`${url}|`)) renderCache.delete(key);
+    }
+}
+
+/**
+ * The image to draw for a path
+ * @param {string} path - Image path or registered data URL
+ * @returns {HTMLImageElement|HTMLCanvasElement|null} null if not available
+ */
+function getStimulusSource(path) {
+    if (generatedImages.has(path)) {
+        return generatedImages.get(path);
+    }
+    return isImageLoaded(path) ? preloadState.loaded.get(path) : null;
+}
+
+/**
+ * Build the HTML of a stimulus image
+ * @param {string} path - Image path
+ * @param {Object} dimensions - { width, height } in CSS pixels
+ * @param {Object} options - className, alt, and pinSize (set the CSS size
+ *     inline, overriding stylesheet sizes; canvases always do)
+ * @returns {string} A <canvas> for a preloaded or registered image in
+ *     'canvas' mode, otherwise an <img> (e.g. placeholders)
+ */
+function buildStimulusImageHTML(path, dimensions, options) {
+    const sizeStyle = `width: ${dimensions.width}px; height: ${dimensions.height}px;`;
+    if (getStimulusRenderingMode() === 'canvas' && getStimulusSource(path)) {
+        const dpr = window.devicePixelRatio || 1;
+        return `<canvas data-stimulus-src="${path}"
+                     width="${Math.round(dimensions.width * dpr)}"
+                     height="${Math.round(dimensions.height * dpr)}"
+                     style="${sizeStyle}"
+                     role="img" aria-label="${options.alt}"
+                     class="${options.className}"></canvas>`;
+    }
+    return `<img src="${path}"
+                 width="${dimensions.width}"
+                 height="${dimensions.height}"${options.pinSize ? ` style="${sizeStyle}"` : ''}
+                 alt="${options.alt}"
+                 class="${options.className}">`;
+}
+
+/**
+ * Scale an image to a CSS size: the pixels a 1x display would show
+ * @param {string} path - Preloaded image path or registered data URL
+ * @param {number} width - CSS width
+ * @param {number} height - CSS height
+ * @returns {HTMLCanvasElement}
+ */
+function getReferenceImage(path, width, height) {
+    const key = `${path}|${width}x${height}`;
+    if (!renderCache.has(key)) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(getStimulusSource(path), 0, 0, width, height);
+        renderCache.set(key, canvas);
+    }
+    return renderCache.get(key);
+}
+
+/**
+ * Draw the stimulus canvases of a trial (see buildStimulusImageHTML)
+ * @param {Element} container - Element holding the trial's HTML
+ */
+function drawStimulusCanvases(container) {
+    for (const canvas of container.querySelectorAll('canvas[data-stimulus-src]')) {
+        const width = parseFloat(canvas.style.width);
+        const height = parseFloat(canvas.style.height);
+        const reference = getReferenceImage(canvas.dataset.stimulusSrc, width, height);
+
+        const ctx = canvas.getContext('2d');
+        // Whole pixels stay sharp blocks only when they map to whole device pixels
+        ctx.imageSmoothingEnabled = canvas.width % width !== 0 || canvas.height % height !== 0;
+        ctx.drawImage(reference, 0, 0, canvas.width, canvas.height);
+    }
+}
+
+/**
+ * Resolution of a stimulus as shown, for its trial/round row
+ * @param {string} path - Image path
+ * @param {Object} dimensions - { width, height } in CSS pixels
+ * @returns {Object} stimulus_source_px (width of the image file, null for
+ *     placeholders) and stimulus_detail_px (width in image pixels of the detail
+ *     shown: the CSS width when drawn to a canvas, up to the device width for an <img>)
+ */
+function getStimulusRenderData(path, dimensions) {
+    if (!isImageLoaded(path)) {
+        return { stimulus_source_px: null, stimulus_detail_px: null };
+    }
+    const sourceWidth = preloadState.loaded.get(path).naturalWidth;
+    const shownWidth = getStimulusRenderingMode() === 'canvas'
+        ? dimensions.width
+        : Math.round(dimensions.width * (window.devicePixelRatio || 1));
+    return {
+        stimulus_source_px: sourceWidth,
+        stimulus_detail_px: Math.min(sourceWidth, shownWidth)
+    };
+}
+
+/**
+ * Stimulus rendering of this session, for the exported data
+ * @returns {Object} stimulus_rendering ('canvas' or 'img')
+ */
+function getStimulusRenderingData() {
+    return {
+        stimulus_rendering: getStimulusRenderingMode()
+    };
+}
@@ -0,0 +1,183 @@
+/**
+ * Stimulus Verification
+ *
+ * Before the session starts, the preloaded images (see
+ * common/js/stimulus-preload.js) are checked against the design:
+ *   - size: an image of a size level must be exactly that level's
+ *     STIMULI_CONFIG.sizes width × height, and a master image (masterSize)
+ *     must have the aspect ratio of every level it is scaled to
+ *   - checksum (checksums: true): the file's SHA-256 must match the manifest,
+ *     which catches edited or re-encoded images. Every image is fetched again
+ *     (normally from the browser cache); browsers only hash on https or localhost.
+ *   - coverage (verifyPlanImages): every image the session plan shows must
+ *     have been preloaded
+ * EXPERIMENTS_CONFIG.stimulusVerification.onMismatch decides what happens:
+ * 'block' stops the experiment with an error listing every mismatched file,
+ * 'flag' runs the session and records the mismatches as `stimulus_verification`.
+ * Images that failed to load are handled by the preload step, not here.
+ */
+
+const verifyState = {
+    checked: 0,
+    checksums: false,
+    mismatches: []
+};
+
+/**
+ * Verification settings, with defaults for anything not configured
+ * @returns {Object} { onMismatch: 'block'|'flag', checksums: boolean }
+ */
+function getStimulusVerificationConfig() {
+    const config = EXPERIMENTS_CONFIG.stimulusVerification || {};
+    return {
+        onMismatch: config.onMismatch === 'flag' ? 'flag' : 'block',
+        checksums: Boolean(config.checksums)
+    };
+}
+
+/**
+ * Check an image's natural size against the size levels it is shown at
+ * @param {string} manifestSize - Size of the image in the manifest
+ * @param {Object} naturalSize - { width, height } of the decoded image
+ * @returns {string|null} What is wrong, or null
+ */
+function checkImageDimensions(manifestSize, naturalSize) {
+    const actual = `${naturalSize.width}×${naturalSize.height} px`;
+    const level = STIMULI_CONFIG.sizes[manifestSize];
+    if (level && (naturalSize.width !== level.width || naturalSize.height !== level.height)) {
+        return `${actual}, expected ${level.width}×${level.height} px (size "${manifestSize}")`;
+    }
+
+    // A master image is scaled to every level, which distorts it unless the shapes agree
+    if (STIMULI_CONFIG.masterSize === manifestSize) {
+        const ratio = naturalSize.width / naturalSize.height;
+        for (const [name, other] of Object.entries(STIMULI_CONFIG.sizes)) {
+            if (Math.abs(ratio - other.width / other.height) > 0.01 * ratio) {
+                return `${actual}, aspect ratio differs from size "${name}" (${other.width}×${other.height} px)`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * SHA-256 of a file, as lowercase hex
+ * @param {string} path - File path
+ * @returns {Promise<string>}
+ */
+async function hashImageFile(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check the preloaded images
+ * @param {Array<string>} paths - Preloaded image paths (getAllImagePaths())
+ * @returns {Promise<Array<string>>} Mismatches, one per problem, naming the file
+ */
+async function verifyStimulusImages(paths) {
+    const config = getStimulusVerificationConfig();
+    const sets = Object.values(stimulusSets);
+    const mismatches = [];
+
+    verifyState.checksums = config.checksums && Boolean(window.crypto && crypto.subtle);
+    if (config.checksums && !verifyState.checksums) {
+        console.warn('Image checksums not verified: the page is not on https or localhost');
+    }
+
+    for (const path of paths) {
+        if (!isImageLoaded(path)) continue;
+        verifyState.checked++;
+
+        const entry = findManifestVariant(sets, path);
+        if (!entry) {
+            mismatches.push(`${path}: not in a stimulus manifest`);
+            continue;
+        }
+        const image = preloadState.loaded.get(path);
+        const problem = checkImageDimensions(entry.variant.size, { width: image.naturalWidth, height: image.naturalHeight });
+        if (problem) {
+            mismatches.push(`${path}: ${problem}`);
+        }
+
+        if (verifyState.checksums && entry.variant.sha256) {
+            try {
+                if (await hashImageFile(path) !== entry.variant.sha256) {
+                    mismatches.push(`${path}: SHA-256 differs from the manifest`);
+                }
+            } catch (error) {
+                mismatches.push(`${path}: could not be read for the checksum (${error.message})`);
+            }
+        }
+    }
+
+    verifyState.mismatches.push(...mismatches);
+    if (mismatches.length > 0) {
+        console.warn('Stimulus images do not match the design:', mismatches);
+    }
+    return mismatches;
+}
+
+/**
+ * Check that every image of the session plan was preloaded
+ * @param {Array<string>} planPaths - Image paths the session shows
+ * @returns {Array<string>} Mismatches, one per image
+ */
+function verifyPlanImages(planPaths) {
+    const mismatches = [];
+    // Placeholders (data: URLs) are drawn, not loaded
+    for (const path of new Set(planPaths)) {
+        if (!path.startsWith('data:') && !isImageLoaded(path)) {
+            mismatches.push(`${path}: shown in the session but not preloaded (see getAllImagePaths)`);
+        }
+    }
+
+    verifyState.mismatches.push(...mismatches);
+    if (mismatches.length > 0) {
+        console.warn('Stimulus images do not match the design:', mismatches);
+    }
+    return mismatches;
+}
+
+/**
+ * Whether mismatched images stop the experiment
+ * @returns {boolean}
+ */
+function isStimulusVerificationBlocking() {
+    return getStimulusVerificationConfig().onMismatch === 'block';
+}
+
+/**
+ * Replace the page with an error listing the mismatched images
+ * @param {Array<string>} mismatches - From verifyStimulusImages() or verifyPlanImages()
+ */
+function showStimulusVerificationError(mismatches) {
+    console.error('Stimulus images do not match the design:', mismatches);
+    const items = mismatches.map(mismatch => `<li>${mismatch}</li>`).join('');
+    document.body.innerHTML = `
+        <div style="max-width: 700px; margin: 80px auto; padding: 40px; background: white; border-radius: 10px; font-family: sans-serif;">
+            <h2 style="color: #dc3545; margin-top: 0; text-align: center;">The study could not be started</h2>
+            <p style="font-size: 16px; line-height: 1.6; text-align: center;">Some images of this study do not match its design. Please contact the researchers.</p>
+            <ul style="font-size: 13px; color: #666; word-break: break-word;">${items}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Image verification of this session, for the exported data
+ * @returns {Object} stimulus_verification: JSON { images checked, whether
+ *     checksums were compared, mismatches }
+ */
+function getStimulusVerificationData() {
+    return {
+        stimulus_verification: JSON.stringify({
+            images: verifyState.checked,
+            checksums: verifyState.checksums,
+            mismatches: verifyState.mismatches
+        })
+    };
+}
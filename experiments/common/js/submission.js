@@ -0,0 +1,369 @@
+/**
+ * Data Submission
+ *
+ * Delivery of experiment payloads, shared by every experiment's
+ * js/data-export.js. Submissions go through a persistent outbox: each payload
+ * is written to localStorage before it is sent and only removed once the
+ * endpoint acknowledges it, so a closed tab or a dropped connection does not
+ * lose data. Payloads the endpoint refuses (HTTP 4xx or status 'error') are
+ * moved to a separate rejected list instead of being retried forever. If
+ * delivery fails, the finish screen offers the session as a CSV
+ * or JSON download; the file name prefix and contact address come from the
+ * experiment's DATA_EXPORT_CONFIG and the CSV rows from its flattenPayloadRows().
+ */
+
+const SUBMISSION_CONFIG = {
+    // localStorage key for the submission outbox (shared by all experiments,
+    // so leftovers are flushed whichever experiment page loads next)
+    outboxStorageKey: 'face_experiments_outbox',
+
+    // localStorage key for submissions taken out of the outbox: rejected by the
+    // endpoint, or still undelivered after maxFailedFlushes page loads. Kept
+    // (the newest maxRejected) so they can be recovered from the browser.
+    rejectedStorageKey: 'face_experiments_outbox_rejected',
+    maxFailedFlushes: 20,
+    maxRejected: 50,
+
+    // Retry schedule: exponential backoff from retryBaseDelay up to retryMaxDelay
+    retryBaseDelay: 1000,
+    retryMaxDelay: 30000,
+    maxAttemptsPerFlush: 6
+};
+
+// ============================================================================
+// SUBMISSION OUTBOX
+// ============================================================================
+
+// Deliveries currently running in this page, keyed by submission id
+const outboxInFlight = new Map();
+
+// Final outcome of submissions from this page, keyed by submission id:
+// 'delivered' or 'rejected' (so they are not sent again)
+const submissionOutcomes = new Map();
+
+/**
+ * Generate a unique id for a submission so the endpoint can de-duplicate retries
+ * @returns {string} Submission id
+ */
+function createSubmissionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Read a list of submissions from localStorage
+ * @param {string} key - Storage key
+ * @returns {Array} Stored entries
+ */
+function readStoredSubmissions(key) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+        console.warn(`Could not read ${key}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Persist a list of submissions to localStorage
+ * @param {string} key - Storage key
+ * @param {Array} entries - Entries to store
+ */
+function writeStoredSubmissions(key, entries) {
+    try {
+        localStorage.setItem(key, JSON.stringify(entries));
+    } catch (error) {
+        // Storage full or disabled (e.g. private mode) - delivery still runs from memory
+        console.warn(`Could not write ${key}:`, error);
+    }
+}
+
+/**
+ * Read all pending submissions from localStorage
+ * @returns {Array} Pending outbox entries
+ */
+function readOutbox() {
+    return readStoredSubmissions(SUBMISSION_CONFIG.outboxStorageKey);
+}
+
+/**
+ * Persist the outbox to localStorage
+ * @param {Array} entries - Outbox entries to store
+ */
+function writeOutbox(entries) {
+    writeStoredSubmissions(SUBMISSION_CONFIG.outboxStorageKey, entries);
+}
+
+/**
+ * Store a payload in the outbox before it is sent
+ * @param {string} url - Endpoint the payload is destined for
+ * @param {Object} payload - Data to submit
+ * @returns {Object} The stored outbox entry
+ */
+function enqueueSubmission(url, payload) {
+    const entry = {
+        id: payload.submission_id,
+        url: url,
+        payload: payload,
+        queued_at: new Date().toISOString(),
+        failed_flushes: 0
+    };
+
+    const entries = readOutbox();
+    entries.push(entry);
+    writeOutbox(entries);
+
+    return entry;
+}
+
+/**
+ * Remove an acknowledged submission from the outbox
+ * @param {string} id - Submission id
+ */
+function removeFromOutbox(id) {
+    writeOutbox(readOutbox().filter(entry => entry.id !== id));
+}
+
+/**
+ * Move a submission from the outbox to the rejected list, so it is no longer retried
+ * @param {Object} entry - Outbox entry
+ * @param {string} reason - Why it was given up
+ */
+function rejectSubmission(entry, reason) {
+    console.warn(`Submission ${entry.id} given up: ${reason}`);
+    submissionOutcomes.set(entry.id, 'rejected');
+    removeFromOutbox(entry.id);
+    const rejected = readStoredSubmissions(SUBMISSION_CONFIG.rejectedStorageKey);
+    rejected.push({ ...entry, rejected_at: new Date().toISOString(), reason: reason });
+    writeStoredSubmissions(SUBMISSION_CONFIG.rejectedStorageKey, rejected.slice(-SUBMISSION_CONFIG.maxRejected));
+}
+
+/**
+ * Count a flush that ended without delivering an entry; after
+ * maxFailedFlushes it is given up
+ * @param {Object} entry - Outbox entry
+ */
+function recordFailedFlush(entry) {
+    const entries = readOutbox();
+    const stored = entries.find(candidate => candidate.id === entry.id);
+    if (!stored) return;
+
+    stored.failed_flushes = (stored.failed_flushes || 0) + 1;
+    if (stored.failed_flushes >= SUBMISSION_CONFIG.maxFailedFlushes) {
+        rejectSubmission(stored, `not delivered after ${stored.failed_flushes} flushes`);
+    } else {
+        writeOutbox(entries);
+    }
+}
+
+/**
+ * POST one outbox entry and check the endpoint's acknowledgement.
+ * The payload is sent as the form-encoded 'data' field, which the Apps Script
+ * reads from e.parameter.data and answers with a CORS-readable JSON body.
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} { outcome: 'delivered', 'retry' (network or server
+ *     error) or 'rejected' (the endpoint refused the payload), message }
+ */
+async function postSubmission(entry) {
+    try {
+        const response = await fetch(entry.url, {
+            method: 'POST',
+            body: new URLSearchParams({ data: JSON.stringify(entry.payload) })
+        });
+        if (!response.ok) {
+            // Client errors will not go away on retry; timeouts and rate limits may
+            const permanent = response.status >= 400 && response.status < 500 &&
+                response.status !== 408 && response.status !== 429;
+            return { outcome: permanent ? 'rejected' : 'retry', message: `HTTP ${response.status}` };
+        }
+        const result = await response.json();
+        if (result.status === 'success') {
+            return { outcome: 'delivered' };
+        }
+        // The Apps Script always answers HTTP 200, with status 'error' for refused payloads
+        return { outcome: result.status === 'error' ? 'rejected' : 'retry', message: result.message || JSON.stringify(result) };
+    } catch (error) {
+        return { outcome: 'retry', message: error.message };
+    }
+}
+
+/**
+ * Delay before the given retry attempt (exponential backoff, capped)
+ * @param {number} attempt - Number of attempts made so far (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt) {
+    const delay = SUBMISSION_CONFIG.retryBaseDelay * Math.pow(2, attempt - 1);
+    return Math.min(delay, SUBMISSION_CONFIG.retryMaxDelay);
+}
+
+/**
+ * Send an outbox entry, retrying with backoff until it is acknowledged or
+ * rejected. Concurrent calls for the same entry share one delivery, and an
+ * entry this page already delivered or gave up is not sent again.
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<boolean>} Whether the entry was delivered
+ */
+function deliverSubmission(entry) {
+    if (submissionOutcomes.has(entry.id)) {
+        return Promise.resolve(submissionOutcomes.get(entry.id) === 'delivered');
+    }
+    if (outboxInFlight.has(entry.id)) {
+        return outboxInFlight.get(entry.id);
+    }
+
+    const delivery = (async () => {
+        for (let attempt = 1; attempt <= SUBMISSION_CONFIG.maxAttemptsPerFlush; attempt++) {
+            const result = await postSubmission(entry);
+            if (result.outcome === 'delivered') {
+                submissionOutcomes.set(entry.id, 'delivered');
+                removeFromOutbox(entry.id);
+                console.log(`Submission ${entry.id} acknowledged (attempt ${attempt})`);
+                return true;
+            }
+            if (result.outcome === 'rejected') {
+                rejectSubmission(entry, result.message);
+                return false;
+            }
+            console.warn(`Submission ${entry.id} failed (${result.message})`);
+            if (attempt < SUBMISSION_CONFIG.maxAttemptsPerFlush) {
+                await new Promise(resolve => setTimeout(resolve, getRetryDelay(attempt)));
+            }
+        }
+        console.warn(`Submission ${entry.id} still pending after ${SUBMISSION_CONFIG.maxAttemptsPerFlush} attempts; kept in outbox`);
+        recordFailedFlush(entry);
+        return false;
+    })();
+
+    outboxInFlight.set(entry.id, delivery);
+    delivery.finally(() => outboxInFlight.delete(entry.id));
+    return delivery;
+}
+
+/**
+ * Try to deliver every pending submission left in the outbox
+ * @returns {Promise<boolean>} Whether the outbox is now empty
+ */
+async function flushOutbox() {
+    const entries = readOutbox();
+    if (entries.length === 0) return true;
+
+    console.log(`Flushing ${entries.length} pending submission(s) from outbox`);
+    const results = await Promise.all(entries.map(deliverSubmission));
+    return results.every(Boolean);
+}
+
+// ============================================================================
+// LOCAL DOWNLOAD FALLBACK
+// ============================================================================
+
+/**
+ * Quote a single CSV cell (objects and arrays are written as JSON)
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise a payload as CSV with one row per trial/round
+ * @param {Object} payload - Export payload
+ * @returns {string} CSV text
+ */
+function payloadToCsv(payload) {
+    const rows = flattenPayloadRows(payload);
+    const headers = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!headers.includes(key)) headers.push(key);
+    }));
+
+    const lines = [headers.map(toCsvCell).join(',')];
+    rows.forEach(row => lines.push(headers.map(key => toCsvCell(row[key])).join(',')));
+    return lines.join('\r\n');
+}
+
+/**
+ * Offer a text file to the participant as a browser download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download the payload as a flattened CSV or as the raw JSON that would have been posted
+ * @param {Object} payload - Export payload
+ * @param {string} format - 'csv' or 'json'
+ */
+function downloadPayload(payload, format) {
+    const filename = `${DATA_EXPORT_CONFIG.fallbackFilePrefix}_${payload.participant_id}.${format}`;
+    if (format === 'csv') {
+        downloadFile(filename, payloadToCsv(payload), 'text/csv;charset=utf-8');
+    } else {
+        downloadFile(filename, JSON.stringify(payload, null, 2), 'application/json');
+    }
+}
+
+// ============================================================================
+// FINISH SCREEN
+// ============================================================================
+
+/**
+ * Replace the page with the end-of-study screen for the given submission state
+ * @param {string} status - 'pending', 'delivered' or 'failed'
+ * @param {Object} [payload] - Undelivered payload to offer as a download when failed
+ */
+function showSubmissionStatus(status, payload) {
+    const messages = {
+        pending: `
+            <h1>Submitting your responses...</h1>
+            <p>Please do not close this tab.</p>`,
+        delivered: `
+            <h1>Thank you!</h1>
+            <p>Your responses have been recorded.</p>
+            <p>You may now close this tab.</p>`,
+        failed: `
+            <h1>Thank you!</h1>
+            <p>We could not confirm that your responses reached the research team.</p>
+            <p>They have been saved in this browser and will be sent automatically
+               the next time this study is opened here.</p>
+            <p>To be safe, please download a copy and email it to
+               <a href="mailto:${DATA_EXPORT_CONFIG.contactEmail}">${DATA_EXPORT_CONFIG.contactEmail}</a>.</p>
+            <p>
+                <button id="download-csv-btn" class="jspsych-btn">Download CSV</button>
+                <button id="download-json-btn" class="jspsych-btn">Download JSON</button>
+            </p>`
+    };
+
+    document.body.innerHTML = `
+        <div style="display: flex; justify-content: center; align-items: center;
+                    height: 100vh; font-family: sans-serif; text-align: center;">
+            <div>${messages[status]}
+            </div>
+        </div>
+    `;
+
+    if (status === 'failed' && payload) {
+        document.getElementById('download-csv-btn').addEventListener('click', () => downloadPayload(payload, 'csv'));
+        document.getElementById('download-json-btn').addEventListener('click', () => downloadPayload(payload, 'json'));
+    }
+}
+
+// Deliver anything a previous session left behind, and retry when the connection returns
+flushOutbox();
+window.addEventListener('online', () => flushOutbox());
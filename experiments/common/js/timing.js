@@ -0,0 +1,185 @@
+/**
+ * Frame-Accurate Presentation
+ *
+ * `trial_duration` timers only ask the browser to swap the screen "about" that
+ * late and never tell us how long a stimulus was really visible. Timed displays
+ * (face exposure, grid, fixation) are instead shown and hidden from
+ * requestAnimationFrame callbacks, so they start and end on frame boundaries
+ * and their onset/offset are frame timestamps. The display check measures the
+ * refresh rate; exposures that miss their target by more than
+ * TIMING_CONFIG.toleranceFrames frames are flagged per row (`exposure_flag`)
+ * and counted per session (`exposure_flags`).
+ */
+
+const TIMING_CONFIG = {
+    // Frames sampled to measure the refresh rate
+    refreshSampleFrames: 60,
+
+    // Frame interval assumed if the refresh rate was never measured (60 Hz)
+    defaultFrameIntervalMs: 1000 / 60,
+
+    // Deviation from the target exposure, in frames, beyond which it is flagged
+    toleranceFrames: 2
+};
+
+const timingState = {
+    frameIntervalMs: null,
+    exposureFlags: 0
+};
+
+/**
+ * Round a timestamp or duration to 0.1 ms for export
+ * @param {number} ms - Milliseconds
+ * @returns {number}
+ */
+function roundMs(ms) {
+    return Math.round(ms * 10) / 10;
+}
+
+/**
+ * Measure the display's frame interval as the median of consecutive
+ * requestAnimationFrame intervals
+ * @returns {Promise<number>} Frame interval in ms
+ */
+function measureFrameInterval() {
+    return new Promise(resolve => {
+        const timestamps = [];
+        function sample(timestamp) {
+            timestamps.push(timestamp);
+            if (timestamps.length <= TIMING_CONFIG.refreshSampleFrames) {
+                requestAnimationFrame(sample);
+                return;
+            }
+            const intervals = timestamps.slice(1).map((t, i) => t - timestamps[i]).sort((a, b) => a - b);
+            resolve(intervals[Math.floor(intervals.length / 2)]);
+        }
+        requestAnimationFrame(sample);
+    });
+}
+
+/**
+ * Create the call-function trial that measures the refresh rate during the display check
+ * @returns {Object} jsPsych trial object
+ */
+function createRefreshRateTrial() {
+    return {
+        type: jsPsychCallFunction,
+        async: true,
+        func: function(done) {
+            measureFrameInterval().then(frameIntervalMs => {
+                timingState.frameIntervalMs = frameIntervalMs;
+                console.log(`Refresh rate: ${(1000 / frameIntervalMs).toFixed(1)} Hz`);
+                done({ frame_interval_ms: roundMs(frameIntervalMs), refresh_rate_hz: roundMs(1000 / frameIntervalMs) });
+            });
+        },
+        data: { trial_type: 'refresh_rate' }
+    };
+}
+
+/**
+ * Frame interval of this display
+ * @returns {number} Measured interval, or the 60 Hz default before measuring
+ */
+function getFrameIntervalMs() {
+    return timingState.frameIntervalMs || TIMING_CONFIG.defaultFrameIntervalMs;
+}
+
+/**
+ * Create a display shown for a fixed duration on frame boundaries. Replaces an
+ * html-keyboard-response trial with choices "NO_KEYS" and a trial_duration.
+ * @param {Object} jsPsych - The jsPsych instance
+ * @param {Object} options - { stimulus (HTML or function), duration (ms, or a function
+ *     evaluated when the display starts), data, onFinish(exposure) }
+ * @returns {Object} jsPsych trial object; its data gets the exposure fields
+ *     (stimulus_onset_ms, stimulus_offset_ms, exposure_ms, exposure_flag) and target_duration_ms
+ */
+function createTimedDisplay(jsPsych, options) {
+    let animationFrame = null;
+
+    return {
+        type: jsPsychHtmlKeyboardResponse,
+        stimulus: options.stimulus,
+        choices: "NO_KEYS",
+        data: options.data || {},
+        on_load: function() {
+            // Rendered but not yet painted: keep it hidden until the first frame
+            const content = document.getElementById('jspsych-html-keyboard-response-stimulus');
+            content.style.visibility = 'hidden';
+            // Stimulus canvases are drawn before the first frame (see common/js/stimulus-render.js)
+            drawStimulusCanvases(content);
+
+            const frameIntervalMs = getFrameIntervalMs();
+            const duration = typeof options.duration === 'function' ? options.duration() : options.duration;
+            let shown = false;
+            let onset = null;
+            let hidden = false;
+
+            // Each change is painted on the frame after the callback that made it,
+            // so onset/offset are the timestamps of the callbacks that follow
+            function frame(timestamp) {
+                if (!shown) {
+                    content.style.visibility = 'visible';
+                    shown = true;
+                } else if (!hidden) {
+                    if (onset === null) {
+                        onset = timestamp;
+                    }
+                    // Hide when the next frame would reach the target (within half a frame),
+                    // which for a one-frame target is the onset frame itself
+                    if (timestamp - onset >= duration - 1.5 * frameIntervalMs) {
+                        content.style.visibility = 'hidden';
+                        hidden = true;
+                    }
+                } else {
+                    const exposure = timestamp - onset;
+                    const flagged = Math.abs(exposure - duration) > TIMING_CONFIG.toleranceFrames * frameIntervalMs;
+                    if (flagged) {
+                        timingState.exposureFlags++;
+                        console.warn(`Exposure of ${exposure.toFixed(1)} ms for a ${duration} ms target`);
+                    }
+                    jsPsych.finishTrial({
+                        target_duration_ms: duration,
+                        stimulus_onset_ms: roundMs(onset),
+                        stimulus_offset_ms: roundMs(timestamp),
+                        exposure_ms: roundMs(exposure),
+                        exposure_flag: flagged
+                    });
+                    return;
+                }
+                animationFrame = requestAnimationFrame(frame);
+            }
+            animationFrame = requestAnimationFrame(frame);
+        },
+        on_finish: function(data) {
+            cancelAnimationFrame(animationFrame);
+            if (options.onFinish) {
+                options.onFinish(getExposureData(data));
+            }
+        }
+    };
+}
+
+/**
+ * Exposure fields of a timed display, for its trial/round row
+ * @param {Object} data - Data of a createTimedDisplay trial
+ * @returns {Object} stimulus_onset_ms, stimulus_offset_ms, exposure_ms, exposure_flag
+ */
+function getExposureData(data) {
+    return {
+        stimulus_onset_ms: data.stimulus_onset_ms,
+        stimulus_offset_ms: data.stimulus_offset_ms,
+        exposure_ms: data.exposure_ms,
+        exposure_flag: data.exposure_flag
+    };
+}
+
+/**
+ * Display timing of this session, for the exported data
+ * @returns {Object} refresh_rate_hz (null if not measured) and exposure_flags
+ */
+function getTimingData() {
+    return {
+        refresh_rate_hz: timingState.frameIntervalMs ? roundMs(1000 / timingState.frameIntervalMs) : null,
+        exposure_flags: timingState.exposureFlags
+    };
+}
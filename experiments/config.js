@@ -0,0 +1,121 @@
+/**
+ * Shared Configuration for All Experiments
+ *
+ * Loaded by every experiment page before its own scripts.
+ */
+
+const EXPERIMENTS_CONFIG = {
+    // Data collector endpoint used by every experiment.
+    // null = each experiment's Google Apps Script deployment (see js/data-export.js).
+    // For offline lab sessions, run `node collector/server.js` and set this to
+    // 'http://localhost:8787/' - or leave it and open the page with
+    // ?collector=http://localhost:8787/ instead.
+    collectorUrl: null,
+
+    // Origins ?collector= may point at besides localhost/127.0.0.1, e.g.
+    // ['https://lab-server.example.edu']. Any other ?collector= is ignored, so a
+    // shared link cannot send participants' data elsewhere.
+    collectorOverrides: [],
+
+    // Where counterbalancing lists come from (see common/js/counterbalance.js).
+    // 'collector' = shared round-robin counter on the collector, falling back to
+    // this browser's own counter if it cannot be reached; 'local' = always this
+    // browser's counter (pilots on one machine).
+    allocator: 'collector',
+
+    // Estimate viewing distance with the blind-spot task after the credit-card
+    // calibration (see common/js/calibration.js). Needed for stimulus sizes in
+    // degrees of visual angle; without it visual_angle_deg stays empty.
+    blindSpotTask: true,
+
+    // What happens when a participant switches tabs, leaves the window or
+    // resizes it during a main trial (see common/js/interaction-monitor.js):
+    // 'warn', 'repeat' (run the trial again, at most maxInteractionRepeats
+    // times) or 'terminate'. Practice trials only warn, like zoom changes.
+    interactionPolicy: 'warn',
+    maxInteractionRepeats: 2,
+
+    // Catch trials among the main trials (see common/js/attention-checks.js),
+    // e.g. { count: 2, maxFailures: 2 }: `count` checks per session at random
+    // positions; after `maxFailures` failed checks the experiment ends
+    // (null = only record them). null = no attention checks.
+    attentionChecks: null,
+
+    // Trials whose image fails to load (see common/js/stimulus-preload.js):
+    // 'replace' = show an equivalent face instead, or leave the trial out
+    // (listed in the session's dropped_stimuli);
+    // 'placeholder' = demo mode, draw a placeholder face and mark every page
+    // (also ?demo=1). Affected rows get stimulus_load_failed either way.
+    missingImages: 'replace',
+
+    // Startup check of the loaded images (see common/js/stimulus-verify.js):
+    // pixel size and aspect ratio against STIMULI_CONFIG.sizes and, with
+    // checksums: true, each file's SHA-256 against its manifest (fetches every
+    // image again; needs https or localhost). onMismatch: 'block' = stop with
+    // an error listing the files, 'flag' = run and record them.
+    stimulusVerification: { onMismatch: 'block', checksums: false },
+
+    // How faces are drawn (see common/js/stimulus-render.js): 'canvas' = at
+    // device resolution, with the same detail on every display whatever its
+    // devicePixelRatio; 'img' = scaled by the browser, so HiDPI screens show
+    // images smoothed (and master images with more detail).
+    stimulusRendering: 'canvas',
+
+    // Where panel participants are sent back to (see common/js/recruitment.js),
+    // per experiment since each panel study has its own codes. null = no redirect.
+    // sonaCreditUrl is the study's credit granting URL from SONA with
+    // {participant} in place of %SURVEY_CODE%.
+    recruitment: {
+        attention: { completionCode: null, screenedOutCode: null, sonaCreditUrl: null },
+        memory: { completionCode: null, screenedOutCode: null, sonaCreditUrl: null },
+        subj_traits: { completionCode: null, screenedOutCode: null, sonaCreditUrl: null }
+    }
+};
+
+/**
+ * Whether ?collector= may point at a URL: localhost/127.0.0.1 or an origin
+ * in EXPERIMENTS_CONFIG.collectorOverrides
+ * @param {string} url - Collector URL from the page URL
+ * @returns {boolean}
+ */
+function isAllowedCollectorOverride(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return false;
+    }
+    if (parsed.hostname === 'localhost' || parsed.hostname === '127.0.0.1') {
+        return true;
+    }
+    return (EXPERIMENTS_CONFIG.collectorOverrides || []).some(origin => {
+        try {
+            return new URL(origin).origin === parsed.origin;
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Resolve the endpoint experiment data is posted to.
+ * Priority: ?collector= URL parameter (if allowed, see
+ * isAllowedCollectorOverride), then EXPERIMENTS_CONFIG.collectorUrl, then the
+ * experiment's own default.
+ * @param {string} defaultUrl - The experiment's Google Apps Script URL
+ * @returns {string} Endpoint URL
+ */
+function getCollectorUrl(defaultUrl) {
+    const fromUrl = new URLSearchParams(window.location.search).get('collector');
+    if (fromUrl) {
+        if (isAllowedCollectorOverride(fromUrl)) {
+            console.log('Using collector from URL parameter:', fromUrl);
+            return fromUrl;
+        }
+        console.warn('Ignoring ?collector= (not localhost or in EXPERIMENTS_CONFIG.collectorOverrides):', fromUrl);
+    }
+    return EXPERIMENTS_CONFIG.collectorUrl || defaultUrl;
+}
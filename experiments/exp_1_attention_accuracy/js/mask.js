@@ -0,0 +1,230 @@
+/**
+ * Backward Masks
+ *
+ * Builds the mask shown after the face (STIMULI_CONFIG.mask) on a canvas, at
+ * the stimulus' size, so participants cannot keep processing its afterimage:
+ *   'scramble' - the face itself, phase-scrambled (same amplitude spectrum,
+ *                mean luminance and colour, no recognisable structure)
+ *   'noise'    - a random grey noise patch
+ * Masks are generated from the seeded PRNG (common/js/random.js) just before
+ * each trial, so a replayed session shows the same masks.
+ */
+
+/**
+ * In-place radix-2 FFT of one row/column
+ * @param {Float64Array} re - Real parts (length a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ * @param {boolean} inverse - Inverse transform (scaled by 1/n)
+ */
+function fft(re, im, inverse) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+        const angle = (inverse ? 2 : -2) * Math.PI / len;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += len) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < len / 2; k++) {
+                const a = start + k;
+                const b = a + len / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+
+    if (inverse) {
+        for (let i = 0; i < n; i++) {
+            re[i] /= n;
+            im[i] /= n;
+        }
+    }
+}
+
+/**
+ * 2D FFT of a square image plane, rows then columns
+ * @param {Float64Array} re - Real parts, size × size, row-major
+ * @param {Float64Array} im - Imaginary parts
+ * @param {number} size - Side length (a power of two)
+ * @param {boolean} inverse - Inverse transform
+ */
+function fft2d(re, im, size, inverse) {
+    const lineRe = new Float64Array(size);
+    const lineIm = new Float64Array(size);
+
+    for (let y = 0; y < size; y++) {
+        const row = y * size;
+        fft(re.subarray(row, row + size), im.subarray(row, row + size), inverse);
+    }
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            lineRe[y] = re[y * size + x];
+            lineIm[y] = im[y * size + x];
+        }
+        fft(lineRe, lineIm, inverse);
+        for (let y = 0; y < size; y++) {
+            re[y * size + x] = lineRe[y];
+            im[y * size + x] = lineIm[y];
+        }
+    }
+}
+
+/**
+ * Phase-scramble RGBA pixels in place. One random phase field (the phase
+ * spectrum of white noise, so the result stays real) is added to every colour
+ * channel, which keeps the colours coherent.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels, size × size
+ * @param {number} size - Side length (a power of two)
+ */
+function phaseScramble(pixels, size) {
+    const count = size * size;
+
+    const noiseRe = new Float64Array(count);
+    const noiseIm = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        noiseRe[i] = randomUnit();
+    }
+    fft2d(noiseRe, noiseIm, size, false);
+
+    for (let channel = 0; channel < 3; channel++) {
+        const re = new Float64Array(count);
+        const im = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            re[i] = pixels[i * 4 + channel];
+        }
+        fft2d(re, im, size, false);
+
+        // Rotate every frequency by the noise phase, keeping its amplitude
+        for (let i = 0; i < count; i++) {
+            const noisePhase = Math.atan2(noiseIm[i], noiseRe[i]);
+            const cos = Math.cos(noisePhase);
+            const sin = Math.sin(noisePhase);
+            const r = re[i] * cos - im[i] * sin;
+            im[i] = re[i] * sin + im[i] * cos;
+            re[i] = r;
+        }
+        fft2d(re, im, size, true);
+
+        for (let i = 0; i < count; i++) {
+            pixels[i * 4 + channel] = re[i];
+        }
+    }
+}
+
+/**
+ * Fill RGBA pixels with random grey noise
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ */
+function fillNoise(pixels) {
+    for (let i = 0; i < pixels.length; i += 4) {
+        const grey = Math.floor(randomUnit() * 256);
+        pixels[i] = grey;
+        pixels[i + 1] = grey;
+        pixels[i + 2] = grey;
+        pixels[i + 3] = 255;
+    }
+}
+
+/**
+ * Load an image (already preloaded, so this is served from the cache).
+ * Requested with CORS so that, if it is cross-origin, reading its pixels fails
+ * at load time instead of tainting the mask canvas.
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadMaskSource(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load ${src}`));
+        image.src = src;
+    });
+}
+
+/**
+ * Create an empty square mask canvas
+ * @param {number} size - Side length
+ * @returns {HTMLCanvasElement}
+ */
+function createMaskCanvas(size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    return canvas;
+}
+
+/**
+ * Draw the phase-scrambled stimulus
+ * @param {string} imagePath - The stimulus image
+ * @param {number} size - Side length (a power of two)
+ * @returns {Promise<Object>} { url, canvas }
+ */
+async function drawScrambleMask(imagePath, size) {
+    const image = await loadMaskSource(imagePath);
+    const canvas = createMaskCanvas(size);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, size, size);
+    const imageData = ctx.getImageData(0, 0, size, size);
+    phaseScramble(imageData.data, size);
+    ctx.putImageData(imageData, 0, 0);
+    return { url: canvas.toDataURL('image/png'), canvas: canvas };
+}
+
+/**
+ * Draw a grey noise mask
+ * @param {number} size - Side length
+ * @returns {Object} { url, canvas }
+ */
+function drawNoiseMask(size) {
+    const canvas = createMaskCanvas(size);
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(size, size);
+    fillNoise(imageData.data);
+    ctx.putImageData(imageData, 0, 0);
+    return { url: canvas.toDataURL('image/png'), canvas: canvas };
+}
+
+/**
+ * Build the mask for one stimulus
+ * Scrambling works on a power-of-two square (the image is resampled to it);
+ * the mask is displayed at the stimulus' dimensions like the face was.
+ * If the image cannot be read (e.g. a cross-origin image without CORS), a
+ * noise mask is drawn on a new canvas instead.
+ * @param {string} imagePath - The stimulus image
+ * @param {string} type - 'scramble' or 'noise'
+ * @param {number} width - Displayed stimulus width (px)
+ * @returns {Promise<Object>} { url: mask data URL, canvas: the mask, type:
+ *     mask type actually used }
+ */
+async function createMaskImage(imagePath, type, width) {
+    const size = Math.pow(2, Math.ceil(Math.log2(width)));
+    if (type === 'scramble') {
+        try {
+            return { ...await drawScrambleMask(imagePath, size), type: 'scramble' };
+        } catch (error) {
+            console.warn('Could not scramble the stimulus, using a noise mask:', error);
+        }
+    }
+    return { ...drawNoiseMask(size), type: 'noise' };
+}
@@ -0,0 +1,98 @@
+/**
+ * Keyboard Response Mode
+ *
+ * With STIMULI_CONFIG.responseMode set to 'keyboard', questions are answered
+ * with each question's `keys` instead of buttons, so RTs do not include mouse
+ * travel to a button whose position changes every trial. A participant keeps
+ * one key mapping for the whole session: mapping m rotates every question's
+ * options by m across its keys, so over getKeyMappingCount() participants
+ * every option lands on every key equally often. The mapping is allocated
+ * together with the counterbalancing list (see runExperiment) and exported
+ * with the session.
+ */
+
+// Key mapping of this session: { id, options: question ID -> options in key order }
+let keyMapping = null;
+
+/**
+ * Whether questions are answered with the keyboard
+ * @returns {boolean}
+ */
+function isKeyboardMode() {
+    return STIMULI_CONFIG.responseMode === 'keyboard';
+}
+
+/**
+ * Number of key mappings needed to put every option of every enabled
+ * question on every key (least common multiple of their option counts)
+ * @returns {number}
+ */
+function getKeyMappingCount() {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    return getEnabledQuestions().reduce((count, question) => {
+        const options = question.options.length;
+        return count * options / gcd(count, options);
+    }, 1);
+}
+
+/**
+ * Set this session's key mapping
+ * @param {number} mappingId - Mapping (0 to getKeyMappingCount() - 1)
+ * @returns {Object} The key mapping
+ */
+function setKeyMapping(mappingId) {
+    const options = {};
+    for (const question of getEnabledQuestions()) {
+        const shift = mappingId % question.options.length;
+        options[question.id] = [...question.options.slice(shift), ...question.options.slice(0, shift)];
+    }
+    keyMapping = { id: mappingId, options: options };
+    console.log('Key mapping:', keyMapping);
+    return keyMapping;
+}
+
+/**
+ * Options of a question in the order of its keys
+ * @param {string} questionId - Question ID
+ * @returns {Array<string>}
+ */
+function getKeyOptions(questionId) {
+    return keyMapping.options[questionId];
+}
+
+/**
+ * Build the key reminder shown under a question (and in the instructions)
+ * @param {Array<string>} keys - The question's keys
+ * @param {Array<string>} options - Options in key order
+ * @returns {string} HTML string
+ */
+function buildKeyReminders(keys, options) {
+    const reminders = keys.map((key, index) => `
+        <span class="key-reminder"><kbd>${key.toUpperCase()}</kbd> ${options[index]}</span>
+    `);
+    return `<div class="key-reminders">${reminders.join('')}</div>`;
+}
+
+/**
+ * Response mode of this session, for the exported data
+ * @returns {Object} response_mode, key_mapping_id and key_mapping (JSON of
+ *     question ID -> { key: option }), mapping fields null with buttons
+ */
+function getResponseModeData() {
+    if (!isKeyboardMode() || !keyMapping) {
+        return { response_mode: STIMULI_CONFIG.responseMode, key_mapping_id: null, key_mapping: null };
+    }
+
+    const mapping = {};
+    for (const question of getEnabledQuestions()) {
+        mapping[question.id] = {};
+        question.keys.forEach((key, index) => {
+            mapping[question.id][key] = keyMapping.options[question.id][index].toLowerCase();
+        });
+    }
+    return {
+        response_mode: 'keyboard',
+        key_mapping_id: keyMapping.id,
+        key_mapping: JSON.stringify(mapping)
+    };
+}
@@ -0,0 +1,135 @@
+/**
+ * Adaptive Exposure Staircase
+ *
+ * With STIMULI_CONFIG.staircase set, the face exposure is no longer fixed:
+ * each size condition runs its own weighted up/down staircase (Kaernbach, 1991)
+ * on the exposure duration, in log10 units. A correct main trial shortens the
+ * next exposure of that size by `stepDown`; an error lengthens it by
+ * stepDown × targetAccuracy / (1 − targetAccuracy), so each staircase settles
+ * where the participant is correct `targetAccuracy` of the time. Durations are
+ * rounded to whole frames (common/js/timing.js) and kept within minMs-maxMs.
+ * The threshold estimate per size is the geometric mean of the exposures at
+ * the reversals after the first `discardReversals`, or the next exposure while
+ * there are too few reversals.
+ */
+
+// Staircase per size condition: { logDuration, trials, lastDirection, reversals }
+const staircases = {};
+
+/**
+ * Whether exposures are set by the staircase
+ * @returns {boolean}
+ */
+function isStaircaseActive() {
+    return Boolean(STIMULI_CONFIG.staircase);
+}
+
+/**
+ * Staircase of one size condition, started at startMs on first use
+ * @param {string} size - Size condition
+ * @returns {Object}
+ */
+function getStaircase(size) {
+    if (!staircases[size]) {
+        staircases[size] = {
+            logDuration: Math.log10(STIMULI_CONFIG.staircase.startMs),
+            trials: 0,
+            lastDirection: 0,
+            reversals: []
+        };
+    }
+    return staircases[size];
+}
+
+/**
+ * Next exposure of a size condition, in whole frames
+ * @param {string} size - Size condition
+ * @returns {number} Duration in ms
+ */
+function getStaircaseDuration(size) {
+    const frameIntervalMs = getFrameIntervalMs();
+    const frames = Math.max(1, Math.round(Math.pow(10, getStaircase(size).logDuration) / frameIntervalMs));
+    return roundMs(frames * frameIntervalMs);
+}
+
+/**
+ * Whether a trial counts as correct for the staircase: the criterion
+ * question's answer, or with 'all' every question's answer
+ * @param {Object} correct - Correctness by question ID
+ * @returns {boolean}
+ */
+function isStaircaseCorrect(correct) {
+    const criterion = STIMULI_CONFIG.staircase.criterion;
+    if (criterion === 'all') {
+        return Object.values(correct).every(Boolean);
+    }
+    return Boolean(correct[criterion]);
+}
+
+/**
+ * Move a size condition's staircase after a main trial
+ * @param {string} size - Size condition
+ * @param {number} durationMs - Exposure the trial was run with
+ * @param {boolean} correct - Result of isStaircaseCorrect()
+ * @returns {Object} Row fields: staircase_trial, staircase_reversal
+ */
+function updateStaircase(size, durationMs, correct) {
+    const config = STIMULI_CONFIG.staircase;
+    const staircase = getStaircase(size);
+    const direction = correct ? -1 : 1;
+
+    const reversal = staircase.lastDirection !== 0 && direction !== staircase.lastDirection;
+    if (reversal) {
+        staircase.reversals.push(durationMs);
+    }
+    staircase.lastDirection = direction;
+    staircase.trials++;
+
+    const step = correct
+        ? config.stepDown
+        : config.stepDown * config.targetAccuracy / (1 - config.targetAccuracy);
+    staircase.logDuration = Math.min(Math.log10(config.maxMs),
+        Math.max(Math.log10(config.minMs), staircase.logDuration + direction * step));
+
+    return {
+        staircase_trial: staircase.trials,
+        staircase_reversal: reversal
+    };
+}
+
+/**
+ * Threshold estimate of a size condition
+ * @param {string} size - Size condition
+ * @returns {number} Exposure in ms
+ */
+function getStaircaseThreshold(size) {
+    const staircase = getStaircase(size);
+    const reversals = staircase.reversals.slice(STIMULI_CONFIG.staircase.discardReversals);
+    if (reversals.length === 0) {
+        return getStaircaseDuration(size);
+    }
+    const meanLog = reversals.reduce((sum, ms) => sum + Math.log10(ms), 0) / reversals.length;
+    return roundMs(Math.pow(10, meanLog));
+}
+
+/**
+ * Staircase results of this session, for the exported data
+ * @returns {Object} staircase_thresholds: JSON of { size: { threshold_ms, trials, reversals } },
+ *     null when exposures are fixed
+ */
+function getStaircaseData() {
+    if (!isStaircaseActive()) {
+        return { staircase_thresholds: null };
+    }
+
+    const thresholds = {};
+    for (const [size, staircase] of Object.entries(staircases)) {
+        if (staircase.trials === 0) continue;
+        thresholds[size] = {
+            threshold_ms: getStaircaseThreshold(size),
+            trials: staircase.trials,
+            reversals: staircase.reversals.length
+        };
+    }
+    return { staircase_thresholds: JSON.stringify(thresholds) };
+}
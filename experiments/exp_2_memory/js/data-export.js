@@ -2,6 +2,9 @@
  * Data Export Module for Memory Experiment
  *
  * Handles sending experiment data to Google Sheets (separate sheet from Experiment 1)
+ *
+ * Each recorded round is streamed to the collector as soon as it finishes
+ * (../common/js/session-stream.js); this file maps the recorded data to rows.
  */
 
 // ============================================================================
@@ -11,25 +14,118 @@
 const DATA_EXPORT_CONFIG = {
     // Google Sheets Web App URL (same as Experiment 1, but data goes to "Memory" sheet)
     // IMPORTANT: Update the Google Apps Script to handle the "experiment" parameter
-    googleSheetsUrl: 'https://script.google.com/macros/s/AKfycbz9aAC62i3gNYQWIbYzjnM19zzxqckEfbxzxHAX09bCOExOqo4GWeZcYyr3S62bIeDr/exec'
+    // Lab sessions can override it with ../config.js or ?collector=<url>
+    googleSheetsUrl: getCollectorUrl('https://script.google.com/macros/s/AKfycbz9aAC62i3gNYQWIbYzjnM19zzxqckEfbxzxHAX09bCOExOqo4GWeZcYyr3S62bIeDr/exec'),
+
+    // Experiment identifier sent with every payload (selects the sheet)
+    experiment: 'memory',
+
+    // Fallback when delivery fails: participants download their data and email it to us
+    fallbackFilePrefix: 'memory',
+    contactEmail: 'julio.garbers@liser.lu'
 };
 
 // ============================================================================
-// GOOGLE SHEETS EXPORT
+// SESSION STREAMING
 // ============================================================================
 
 /**
- * Send experiment data to Google Sheets
+ * Session-level fields only this experiment records (see getSessionFields
+ * in ../common/js/session-stream.js)
+ * @returns {Object}
+ */
+function getExperimentSessionData() {
+    // Experiment 2 records no session-level fields of its own
+    return {};
+}
+
+/**
+ * Push one completed round to the collector as soon as it is recorded
  * @param {Object} jsPsych - The jsPsych instance
  * @param {string} participantId - The participant's ID
- * @returns {Promise<boolean>} - Whether the export was successful
+ * @param {Object} data - Data returned by the round_complete call-function trial
  */
-async function sendToGoogleSheets(jsPsych, participantId) {
-    if (!DATA_EXPORT_CONFIG.googleSheetsUrl) {
-        console.warn('Google Sheets URL not configured.');
-        return false;
-    }
+function streamRoundRow(jsPsych, participantId, data) {
+    streamRows(jsPsych, participantId, { rounds: [toRoundRow(data)] });
+}
+
+// ============================================================================
+// GOOGLE SHEETS EXPORT
+// ============================================================================
+
+/**
+ * Pick the exported columns from one recorded round (call-function 'value' data)
+ * @param {Object} data - Data returned by the round_complete call-function trial
+ * @returns {Object} - One round row
+ */
+function toRoundRow(data) {
+    return {
+        round_number: data.round_number,
+        size_condition: data.size_condition,
+        question_type: data.question_type,
+        is_practice: data.is_practice,
+        grid_order: data.grid_order,
+        input_order: data.input_order,
+        response_order: data.response_order,
+        // Actual composition
+        actual_asian: data.actual_asian,
+        actual_black: data.actual_black,
+        actual_hispanic: data.actual_hispanic,
+        actual_white: data.actual_white,
+        actual_smiling: data.actual_smiling,
+        actual_not_smiling: data.actual_not_smiling,
+        // Responses (race question)
+        asian_response: data.asian_response,
+        black_response: data.black_response,
+        hispanic_response: data.hispanic_response,
+        white_response: data.white_response,
+        asian_error: data.asian_error,
+        black_error: data.black_error,
+        hispanic_error: data.hispanic_error,
+        white_error: data.white_error,
+        asian_correct: data.asian_correct,
+        black_correct: data.black_correct,
+        hispanic_correct: data.hispanic_correct,
+        white_correct: data.white_correct,
+        // Responses (smile question)
+        smiling_response: data.smiling_response,
+        not_smiling_response: data.not_smiling_response,
+        smiling_error: data.smiling_error,
+        not_smiling_error: data.not_smiling_error,
+        smiling_correct: data.smiling_correct,
+        not_smiling_correct: data.not_smiling_correct,
+        // Response time
+        response_rt: data.response_rt,
+        stimulus_onset_ms: data.stimulus_onset_ms,
+        stimulus_offset_ms: data.stimulus_offset_ms,
+        exposure_ms: data.exposure_ms,
+        exposure_flag: data.exposure_flag,
+        viewing_distance_mm: data.viewing_distance_mm,
+        visual_angle_deg: data.visual_angle_deg,
+        stimulus_width_px: data.stimulus_width_px,
+        stimulus_source_px: data.stimulus_source_px,
+        stimulus_detail_px: data.stimulus_detail_px,
+        tab_hidden_count: data.tab_hidden_count,
+        blur_count: data.blur_count,
+        resize_count: data.resize_count,
+        interaction_events: data.interaction_events,
+        trial_attempt: data.trial_attempt,
+        trial_repeated: data.trial_repeated,
+        flag_timed_out: data.flag_timed_out,
+        flag_fast_rt: data.flag_fast_rt,
+        flag_focus_lost: data.flag_focus_lost,
+        flag_total_mismatch: data.flag_total_mismatch,
+        stimulus_load_failed: data.stimulus_load_failed
+    };
+}
 
+/**
+ * Collect all experiment data of this session into one payload
+ * @param {Object} jsPsych - The jsPsych instance
+ * @param {string} participantId - The participant's ID
+ * @returns {Object} - The export payload
+ */
+function buildExportPayload(jsPsych, participantId) {
     const allData = jsPsych.data.get().values();
 
     // Find round data (call-function trials with complete response data)
@@ -50,127 +146,78 @@ async function sendToGoogleSheets(jsPsych, participantId) {
     }
 
     // Get demographics data
-    const demographicsEntry = allData.find(d =>
-        d.trial_type === 'survey-html-form' && d.response && d.response.age !== undefined
-    );
-    const demographics = demographicsEntry ? demographicsEntry.response : {};
+    const demographics = getDemographics(allData);
 
     // Get zoom tracking data
-    const zoomTracking = typeof getZoomTrackingData === 'function' ? getZoomTrackingData() : {};
+    const zoomTracking = getZoomTracking();
 
     // Prepare payload
     const payload = {
         experiment: 'memory',  // Tells the script to use the "Memory" sheet
+        submission_id: createSubmissionId(),
+        session_id: EXPORT_SESSION.id,
+        end_reason: EXPORT_SESSION.endReason,
         participant_id: participantId,
+        ...getSessionFields(),
         timestamp: new Date().toISOString(),
         demographics: demographics,
         zoom_tracking: zoomTracking,
-        rounds: roundData.map(round => {
-            const data = round.value || round;
-            return {
-                round_number: data.round_number,
-                size_condition: data.size_condition,
-                question_type: data.question_type,
-                is_practice: data.is_practice,
-                grid_order: data.grid_order,
-                input_order: data.input_order,
-                response_order: data.response_order,
-                // Actual composition
-                actual_asian: data.actual_asian,
-                actual_black: data.actual_black,
-                actual_hispanic: data.actual_hispanic,
-                actual_white: data.actual_white,
-                actual_smiling: data.actual_smiling,
-                actual_not_smiling: data.actual_not_smiling,
-                // Responses (race question)
-                asian_response: data.asian_response,
-                black_response: data.black_response,
-                hispanic_response: data.hispanic_response,
-                white_response: data.white_response,
-                asian_error: data.asian_error,
-                black_error: data.black_error,
-                hispanic_error: data.hispanic_error,
-                white_error: data.white_error,
-                asian_correct: data.asian_correct,
-                black_correct: data.black_correct,
-                hispanic_correct: data.hispanic_correct,
-                white_correct: data.white_correct,
-                // Responses (smile question)
-                smiling_response: data.smiling_response,
-                not_smiling_response: data.not_smiling_response,
-                smiling_error: data.smiling_error,
-                not_smiling_error: data.not_smiling_error,
-                smiling_correct: data.smiling_correct,
-                not_smiling_correct: data.not_smiling_correct,
-                // Response time
-                response_rt: data.response_rt
-            };
-        })
+        quality: getQualityReport(),
+        rounds: roundData.map(round => toRoundRow(round.value || round))
     };
 
     console.log('Payload rounds count:', payload.rounds.length);
 
-    // Use form submission via hidden iframe
-    return new Promise((resolve) => {
-        try {
-            const iframe = document.createElement('iframe');
-            iframe.name = 'google-sheets-target-' + Date.now();
-            iframe.style.display = 'none';
-            document.body.appendChild(iframe);
-
-            const form = document.createElement('form');
-            form.method = 'POST';
-            form.action = DATA_EXPORT_CONFIG.googleSheetsUrl;
-            form.target = iframe.name;
-            form.style.display = 'none';
-
-            const input = document.createElement('input');
-            input.type = 'hidden';
-            input.name = 'data';
-            input.value = JSON.stringify(payload);
-            form.appendChild(input);
-
-            document.body.appendChild(form);
-            form.submit();
-
-            console.log('Data sent to Google Sheets via form submission');
-
-            setTimeout(() => {
-                document.body.removeChild(form);
-                document.body.removeChild(iframe);
-            }, 5000);
-
-            resolve(true);
-
-        } catch (error) {
-            console.error('Failed to send data to Google Sheets:', error);
-            resolve(false);
-        }
-    });
+    return payload;
 }
 
 // ============================================================================
-// MAIN EXPORT FUNCTION
+// LOCAL DOWNLOAD FALLBACK
 // ============================================================================
 
 /**
- * Export experiment data to Google Sheets
- * @param {Object} jsPsych - The jsPsych instance
- * @param {string} participantId - The participant's ID
- * @param {Function} onComplete - Callback when export is complete
- * @param {Function} onError - Callback if export fails
+ * Flatten a payload into one row per trial/round, repeating the session-level
+ * fields (demographics as demo_*, zoom tracking) on every row like the sheet does
+ * (the CSV download of ../common/js/submission.js)
+ * @param {Object} payload - Export payload
+ * @returns {Array<Object>} Flat rows
  */
-async function exportData(jsPsych, participantId, onComplete, onError) {
-    if (!DATA_EXPORT_CONFIG.googleSheetsUrl) {
-        if (onError) onError('Google Sheets URL not configured');
-        return;
+function flattenPayloadRows(payload) {
+    const sessionFields = {
+        submission_id: payload.submission_id,
+        participant_id: payload.participant_id,
+        random_seed: payload.random_seed,
+        recruitment_platform: payload.recruitment_platform,
+        platform_participant_id: payload.platform_participant_id,
+        platform_study_id: payload.platform_study_id,
+        platform_session_id: payload.platform_session_id,
+        px_per_mm: payload.px_per_mm,
+        calibration_card_px: payload.calibration_card_px,
+        calibration_skipped: payload.calibration_skipped,
+        viewing_distance_mm: payload.viewing_distance_mm,
+        blind_spot_px: payload.blind_spot_px,
+        stimulus_units: payload.stimulus_units,
+        refresh_rate_hz: payload.refresh_rate_hz,
+        exposure_flags: payload.exposure_flags,
+        interaction_policy: payload.interaction_policy,
+        attention_checks_passed: payload.attention_checks_passed,
+        attention_checks_failed: payload.attention_checks_failed,
+        attention_check_results: payload.attention_check_results,
+        missing_images_mode: payload.missing_images_mode,
+        failed_images: payload.failed_images,
+        dropped_stimuli: payload.dropped_stimuli,
+        stimulus_verification: payload.stimulus_verification,
+        stimulus_rendering: payload.stimulus_rendering,
+        quality: payload.quality,
+        timestamp: payload.timestamp
+    };
+    for (const [key, value] of Object.entries(payload.demographics || {})) {
+        sessionFields[`demo_${key}`] = value;
     }
-
-    const success = await sendToGoogleSheets(jsPsych, participantId);
-
-    if (success) {
-        if (onComplete) onComplete('sheets');
-    } else {
-        if (onError) onError('Failed to export data');
+    for (const [key, value] of Object.entries(payload.zoom_tracking || {})) {
+        sessionFields[key] = value;
     }
+
+    const rows = payload.trials || payload.rounds || [];
+    return rows.map(row => ({ ...sessionFields, ...row }));
 }
@@ -1,30 +1,49 @@
 /**
  * Stimulus Configuration for Face Memory Experiment
  *
- * Image naming convention: {race}_{gender}_{smile}_{id}_{size}.{ext}
- * Example: black_male_smile_01_big.jpeg
- *
- * Races: black, asian, white, hispanic
- * Genders: male, female
- * Smile: smile, nosmile
- * IDs: 01, 02 (two individuals per race-gender combination)
- * Sizes: big (256x256), small (104x104)
- * Extensions: .jpeg for big, .png for small
+ * The faces, their race and gender, and the image file of every expression
+ * and size come from the stimulus manifests (see common/js/stimulus-manifest.js);
+ * loadStimuli() must finish before a session plan is generated.
  */
 
 const STIMULI_CONFIG = {
-    // Base path for images
-    imagePath: '../images/',
-
-    // Base path for practice images
-    practiceImagePath: '../practice_images/',
+    // Stimulus manifests (see common/js/stimulus-manifest.js), relative to index.html
+    manifests: {
+        main: '../images/manifest.json',
+        practice: '../practice_images/manifest.json'
+    },
 
-    // Image dimensions
+    // Size levels in pixels: each level is a condition, crossed with the
+    // question type. Any number of levels works, e.g.
+    // { px48: { width: 48, height: 48 }, px72: ..., px256: ... } for a
+    // psychometric function of size. Without masterSize, every level needs
+    // its own image in the manifests.
     sizes: {
         big: { width: 256, height: 256 },
         small: { width: 104, height: 104 }
     },
 
+    // Manifest size of a high-resolution master image that is scaled to every
+    // size level instead of using one image file per level (e.g. 'big' scales
+    // the 256px images; levels above the master's resolution look blurred).
+    // null = one image per level.
+    masterSize: null,
+
+    // Rounds of every size × question type condition (3 × 4 conditions = 12 rounds)
+    roundsPerCondition: 3,
+
+    // Size level of the practice round
+    practiceSize: 'big',
+
+    // Physical image sizes in mm, used instead of `sizes` on calibrated displays
+    // (see common/js/calibration.js), e.g. { big: { width: 68, height: 68 }, ... }.
+    // null = always use the pixel sizes; px_per_mm is recorded either way.
+    physicalSizes: null,
+
+    // Image sizes in degrees of visual angle, used before physicalSizes when the
+    // blind-spot task measured a viewing distance. null = not used.
+    visualAngleSizes: null,
+
     // Grid configuration
     grid: {
         rows: 2,
@@ -36,90 +55,88 @@ const STIMULI_CONFIG = {
     displayDuration: 5000,  // 5 seconds
 
     // All races
-    races: ['asian', 'black', 'hispanic', 'white'],
-
-    // All 16 individuals (2 per race × gender combination)
-    individuals: [
-        // Black individuals
-        { id: 'black_male_01', race: 'black', gender: 'male' },
-        { id: 'black_male_02', race: 'black', gender: 'male' },
-        { id: 'black_female_01', race: 'black', gender: 'female' },
-        { id: 'black_female_02', race: 'black', gender: 'female' },
-
-        // Asian individuals
-        { id: 'asian_male_01', race: 'asian', gender: 'male' },
-        { id: 'asian_male_02', race: 'asian', gender: 'male' },
-        { id: 'asian_female_01', race: 'asian', gender: 'female' },
-        { id: 'asian_female_02', race: 'asian', gender: 'female' },
-
-        // White individuals
-        { id: 'white_male_01', race: 'white', gender: 'male' },
-        { id: 'white_male_02', race: 'white', gender: 'male' },
-        { id: 'white_female_01', race: 'white', gender: 'female' },
-        { id: 'white_female_02', race: 'white', gender: 'female' },
-
-        // Hispanic individuals
-        { id: 'hispanic_male_01', race: 'hispanic', gender: 'male' },
-        { id: 'hispanic_male_02', race: 'hispanic', gender: 'male' },
-        { id: 'hispanic_female_01', race: 'hispanic', gender: 'female' },
-        { id: 'hispanic_female_02', race: 'hispanic', gender: 'female' }
-    ],
-
-    // Practice individuals (8 total - one per race/gender combination)
-    // hasSmile indicates if smile version exists (some only have nosmile)
-    practiceIndividuals: [
-        { id: 'black_male_01', race: 'black', gender: 'male', hasSmile: true },
-        { id: 'black_female_01', race: 'black', gender: 'female', hasSmile: true },
-        { id: 'asian_male_01', race: 'asian', gender: 'male', hasSmile: false },
-        { id: 'asian_female_01', race: 'asian', gender: 'female', hasSmile: true },
-        { id: 'white_male_01', race: 'white', gender: 'male', hasSmile: true },
-        { id: 'white_female_01', race: 'white', gender: 'female', hasSmile: true },
-        { id: 'hispanic_male_01', race: 'hispanic', gender: 'male', hasSmile: false },
-        { id: 'hispanic_female_01', race: 'hispanic', gender: 'female', hasSmile: false }
-    ]
+    races: ['asian', 'black', 'hispanic', 'white']
+};
+
+// Stimulus sets of the manifests, set by loadStimuli()
+const stimulusSets = {
+    main: null,
+    practice: null
 };
 
 /**
- * Generate the image filename for a given stimulus configuration
+ * Load and check the stimulus manifests
+ * Main faces need both expressions in every size (or the master size);
+ * practice faces need the non-smiling image (smiling ones are used where
+ * they exist).
+ * Every face's race must be one of STIMULI_CONFIG.races.
+ * @returns {Promise<Object>} stimulusSets
+ */
+async function loadStimuli() {
+    if (!STIMULI_CONFIG.sizes[STIMULI_CONFIG.practiceSize]) {
+        throw new Error(`STIMULI_CONFIG.practiceSize "${STIMULI_CONFIG.practiceSize}" is not a size level`);
+    }
+
+    const sizes = [...new Set(Object.keys(STIMULI_CONFIG.sizes).map(getImageSize))];
+    stimulusSets.main = await loadStimulusManifest(STIMULI_CONFIG.manifests.main, {
+        attributes: ['race', 'gender'],
+        expressions: ['smile', 'nosmile'],
+        sizes: sizes
+    });
+    stimulusSets.practice = await loadStimulusManifest(STIMULI_CONFIG.manifests.practice, {
+        attributes: ['race', 'gender'],
+        expressions: ['nosmile'],
+        sizes: sizes
+    });
+
+    for (const set of [stimulusSets.main, stimulusSets.practice]) {
+        if (set.faces.length < STIMULI_CONFIG.grid.totalImages) {
+            throw new Error(`Stimulus manifest ${set.url}: a grid needs ${STIMULI_CONFIG.grid.totalImages} faces`);
+        }
+        for (const face of set.faces) {
+            if (!STIMULI_CONFIG.races.includes(face.race)) {
+                throw new Error(`Stimulus manifest ${set.url}: face ${face.id} has unknown race "${face.race}"`);
+            }
+        }
+    }
+    return stimulusSets;
+}
+
+/**
+ * Manifest size of the image shown at a size level: the master image if
+ * configured (scaled by the browser), otherwise the level's own image
+ * @param {string} size - Size level
+ * @returns {string} Manifest size
+ */
+function getImageSize(size) {
+    return STIMULI_CONFIG.masterSize || size;
+}
+
+/**
+ * Image path of a face of the main set (see common/js/stimulus-manifest.js)
  * @param {string} individualId - The individual's ID (e.g., 'black_male_01')
- * @param {string} size - 'big' or 'small'
+ * @param {string} size - Size level, e.g. 'big' or 'small'
  * @param {boolean} smile - true for smiling, false for not smiling
  * @returns {string} The complete image path
  */
 function getImagePath(individualId, size, smile) {
-    const parts = individualId.split('_');
-    const race = parts[0];
-    const gender = parts[1];
-    const idNum = parts[2];
-
-    const smileStr = smile ? 'smile' : 'nosmile';
-    const ext = size === 'big' ? 'jpeg' : 'png';
-
-    return `${STIMULI_CONFIG.imagePath}${race}_${gender}_${smileStr}_${idNum}_${size}.${ext}`;
+    return getManifestImagePath(stimulusSets.main, individualId, smile ? 'smile' : 'nosmile', getImageSize(size));
 }
 
 /**
- * Generate the practice image filename for a given stimulus configuration
+ * Image path of a face of the practice set
  * @param {string} individualId - The individual's ID (e.g., 'black_male_01')
- * @param {string} size - 'big' or 'small'
+ * @param {string} size - Size level, e.g. 'big' or 'small'
  * @param {boolean} smile - true for smiling, false for not smiling
  * @returns {string} The complete practice image path
  */
 function getPracticeImagePath(individualId, size, smile) {
-    const parts = individualId.split('_');
-    const race = parts[0];
-    const gender = parts[1];
-    const idNum = parts[2];
-
-    const smileStr = smile ? 'smile' : 'nosmile';
-    const ext = size === 'big' ? 'jpeg' : 'png';
-
-    return `${STIMULI_CONFIG.practiceImagePath}${race}_${gender}_${smileStr}_${idNum}_${size}.${ext}`;
+    return getManifestImagePath(stimulusSets.practice, individualId, smile ? 'smile' : 'nosmile', getImageSize(size));
 }
 
 /**
  * Generate a practice grid of 8 images using practice images
- * @param {string} size - 'big' or 'small'
+ * @param {string} size - Size level, e.g. 'big' or 'small'
  * @returns {Object} Grid configuration with images and composition stats
  */
 function generatePracticeGridForRound(size) {
@@ -133,16 +150,16 @@ function generatePracticeGridForRound(size) {
         not_smiling: 0
     };
 
-    // Use all 8 practice individuals
-    const practiceIndividuals = [...STIMULI_CONFIG.practiceIndividuals];
+    // Use the first 8 practice individuals
+    const practiceIndividuals = stimulusSets.practice.faces.slice(0, STIMULI_CONFIG.grid.totalImages);
 
-    // Separate individuals by whether they have smile images
-    const canSmile = practiceIndividuals.filter(ind => ind.hasSmile);
-    const cannotSmile = practiceIndividuals.filter(ind => !ind.hasSmile);
+    // Separate individuals by whether they have smile images in this size
+    const canSmile = practiceIndividuals.filter(ind => hasManifestVariant(ind, 'smile', getImageSize(size)));
+    const cannotSmile = practiceIndividuals.filter(ind => !hasManifestVariant(ind, 'smile', getImageSize(size)));
 
     // Randomly select which of the canSmile individuals will smile
-    // We have 5 who can smile, 3 who cannot - aim for ~4 smiling total
-    const shuffledCanSmile = jsPsych.randomization.shuffle(canSmile);
+    // Not every practice face has a smiling image - aim for ~4 smiling total
+    const shuffledCanSmile = randomShuffle(canSmile);
     const numSmiling = Math.min(4, canSmile.length);
 
     const assignments = [];
@@ -186,7 +203,7 @@ function generatePracticeGridForRound(size) {
     }
 
     // Shuffle the grid positions
-    const shuffledGrid = jsPsych.randomization.shuffle(gridImages);
+    const shuffledGrid = randomShuffle(gridImages);
 
     return {
         images: shuffledGrid,
@@ -198,7 +215,7 @@ function generatePracticeGridForRound(size) {
 /**
  * Generate a random grid of 8 images for one round
  * Ensures at least 1 of each race and both smiling/non-smiling are present
- * @param {string} size - 'big' or 'small'
+ * @param {string} size - Size level, e.g. 'big' or 'small'
  * @returns {Object} Grid configuration with images and composition stats
  */
 function generateGridForRound(size) {
@@ -213,7 +230,7 @@ function generateGridForRound(size) {
     };
 
     // Shuffle individuals
-    const shuffledIndividuals = jsPsych.randomization.shuffle([...STIMULI_CONFIG.individuals]);
+    const shuffledIndividuals = randomShuffle(stimulusSets.main.faces);
 
     // Select 8 individuals for this round
     const selectedIndividuals = shuffledIndividuals.slice(0, 8);
@@ -231,7 +248,7 @@ function generateGridForRound(size) {
         } else if (notSmilingCount >= 6) {
             smile = true;   // Force smile to ensure balance
         } else {
-            smile = Math.random() < 0.5;
+            smile = randomChance(0.5);
         }
 
         if (smile) smilingCount++;
@@ -285,7 +302,7 @@ function generateGridForRound(size) {
     }
 
     // Shuffle the grid positions
-    const shuffledGrid = jsPsych.randomization.shuffle(gridImages);
+    const shuffledGrid = randomShuffle(gridImages);
 
     return {
         images: shuffledGrid,
@@ -295,25 +312,59 @@ function generateGridForRound(size) {
 }
 
 /**
- * Generate all 12 rounds for the experiment
- * Balanced: 6 big, 6 small; 6 race questions, 6 smile questions
- * Each combination (size × question_type) appears 3 times
+ * Generate an attention-check grid: one face, smiling or not, in all 8 positions
+ * @param {string} size - Size level, e.g. 'big' or 'small'
+ * @returns {Object} Grid configuration with images and composition stats
+ */
+function generateIdenticalGrid(size) {
+    const faces = stimulusSets.main.faces;
+    const individual = faces[Math.floor(randomUnit() * faces.length)];
+    const smile = randomChance(0.5);
+    const composition = {
+        asian: 0,
+        black: 0,
+        hispanic: 0,
+        white: 0,
+        smiling: smile ? 8 : 0,
+        not_smiling: smile ? 0 : 8
+    };
+    composition[individual.race] = 8;
+
+    const image = {
+        individual_id: individual.id,
+        race: individual.race,
+        gender: individual.gender,
+        smile: smile,
+        size: size,
+        image_path: getImagePath(individual.id, size, smile)
+    };
+
+    return {
+        images: Array(8).fill(image),
+        composition: composition,
+        size: size
+    };
+}
+
+/**
+ * Generate all main rounds for the experiment
+ * Balanced: every size level and question type get equal numbers of rounds
+ * (default: 6 big, 6 small; 6 race questions, 6 smile questions)
+ * Each combination (size × question_type) appears roundsPerCondition times
  * @returns {Array} Array of round configurations
  */
 function generateAllRounds() {
     const rounds = [];
 
-    // Create the 4 conditions, each repeated 3 times
-    const conditions = [
-        { size: 'big', questionType: 'race' },
-        { size: 'big', questionType: 'smile' },
-        { size: 'small', questionType: 'race' },
-        { size: 'small', questionType: 'smile' }
-    ];
+    // Create the size × question type conditions
+    const conditions = [];
+    for (const size of Object.keys(STIMULI_CONFIG.sizes)) {
+        conditions.push({ size: size, questionType: 'race' }, { size: size, questionType: 'smile' });
+    }
 
-    // Create 3 rounds of each condition
+    // Create roundsPerCondition rounds of each condition
     for (const condition of conditions) {
-        for (let rep = 0; rep < 3; rep++) {
+        for (let rep = 0; rep < STIMULI_CONFIG.roundsPerCondition; rep++) {
             rounds.push({
                 size: condition.size,
                 questionType: condition.questionType,
@@ -323,7 +374,96 @@ function generateAllRounds() {
     }
 
     // Shuffle the round order
-    return jsPsych.randomization.shuffle(rounds);
+    return randomShuffle(rounds);
+}
+
+/**
+ * Attach a round's grid and randomized input field orders
+ * @param {Object} roundConfig - Round size and question type
+ * @param {Object} grid - Grid generated for the round
+ * @returns {Object} Round configuration with grid, raceInputOrder and smileInputOrder
+ */
+function planRound(roundConfig, grid) {
+    return {
+        ...roundConfig,
+        grid: grid,
+        // Randomize the order of input fields for questions
+        raceInputOrder: randomShuffle(['asian', 'black', 'hispanic', 'white']),
+        smileInputOrder: randomShuffle(['smiling', 'not_smiling'])
+    };
+}
+
+/**
+ * Generate every randomized part of a session from the current seed
+ * (see common/js/random.js): the practice round, then the main rounds
+ * in presentation order, each with its grid
+ * @returns {Object} { practice, rounds }
+ */
+function generateSessionPlan() {
+    const practice = { size: STIMULI_CONFIG.practiceSize, questionType: 'race' };
+    return {
+        practice: planRound(practice, generatePracticeGridForRound(practice.size)),
+        rounds: generateAllRounds().map(round => planRound(round, generateGridForRound(round.size)))
+    };
+}
+
+/**
+ * Deal with grid images that failed to load (see common/js/stimulus-preload.js):
+ * in demo mode they show a placeholder; otherwise another face of the same
+ * race (and gender if possible) in the same size and expression, not already
+ * in the grid, takes their place, so the grid's composition is unchanged.
+ * Grids with a failed image are marked stimulus_load_failed; grids that cannot
+ * be completed are recorded as dropped.
+ * @param {Object} grid - Grid configuration, changed in place
+ * @param {Array<Object>} sets - Stimulus sets to take replacements from
+ * @returns {boolean} false if the grid could not be completed
+ */
+function applyGridImageFallbacks(grid, sets) {
+    // An identical grid repeats one image object in every position
+    for (const image of new Set(grid.images)) {
+        if (!isImageLoadFailed(image.image_path)) continue;
+        grid.stimulus_load_failed = true;
+
+        if (isPlaceholderMode()) {
+            image.image_path = generatePlaceholder(image.individual_id,
+                STIMULI_CONFIG.sizes[grid.size].width, image.smile);
+            continue;
+        }
+
+        const expression = image.smile ? 'smile' : 'nosmile';
+        const replacement = findReplacementFace(sets, ['race', 'gender'], image, (set, face) => (
+            hasManifestVariant(face, expression, getImageSize(grid.size))
+                ? getManifestImagePath(set, face.id, expression, getImageSize(grid.size))
+                : null
+        ), face => !grid.images.some(other => other.individual_id === face.id));
+        if (!replacement) {
+            recordDroppedStimulus({
+                image_path: image.image_path,
+                individual_id: image.individual_id,
+                size: grid.size,
+                smile: image.smile
+            });
+            return false;
+        }
+        console.warn('Missing image replaced:', image.image_path, '->', replacement.path);
+        image.individual_id = replacement.face.id;
+        image.gender = replacement.face.gender;
+        image.image_path = replacement.path;
+    }
+    return true;
+}
+
+/**
+ * Deal with failed images in every grid of a session plan (see applyGridImageFallbacks)
+ * @param {Object} sessionPlan - From generateSessionPlan(), changed in place
+ * @returns {Object} The session plan (practice is null if it was left out)
+ */
+function applyImageFallbacks(sessionPlan) {
+    if (!applyGridImageFallbacks(sessionPlan.practice.grid, [stimulusSets.practice, stimulusSets.main])) {
+        sessionPlan.practice = null;
+    }
+    sessionPlan.rounds = sessionPlan.rounds.filter(round => applyGridImageFallbacks(round.grid, [stimulusSets.main]));
+    return sessionPlan;
 }
 
 /**
@@ -331,28 +471,39 @@ function generateAllRounds() {
  * @returns {Array} Array of all image paths
  */
 function getAllImagePaths() {
-    const paths = [];
-    const sizes = ['big', 'small'];
+    const paths = new Set();
+    const sizes = Object.keys(STIMULI_CONFIG.sizes);
 
     // Practice images - only include smile versions for individuals that have them
-    for (const individual of STIMULI_CONFIG.practiceIndividuals) {
+    for (const individual of stimulusSets.practice.faces) {
         for (const size of sizes) {
             // Always include nosmile
-            paths.push(getPracticeImagePath(individual.id, size, false));
+            paths.add(getPracticeImagePath(individual.id, size, false));
             // Only include smile if available
-            if (individual.hasSmile) {
-                paths.push(getPracticeImagePath(individual.id, size, true));
+            if (hasManifestVariant(individual, 'smile', getImageSize(size))) {
+                paths.add(getPracticeImagePath(individual.id, size, true));
             }
         }
     }
 
     // Main experiment images (all have both smile and nosmile)
-    for (const individual of STIMULI_CONFIG.individuals) {
+    for (const individual of stimulusSets.main.faces) {
         for (const size of sizes) {
-            paths.push(getImagePath(individual.id, size, false));
-            paths.push(getImagePath(individual.id, size, true));
+            paths.add(getImagePath(individual.id, size, false));
+            paths.add(getImagePath(individual.id, size, true));
         }
     }
 
-    return paths;
+    return [...paths];
+}
+
+/**
+ * Image paths the session shows, to check that they were all preloaded
+ * @param {Object} sessionPlan - From generateSessionPlan(), after applyImageFallbacks()
+ * @returns {Array} Image paths of every grid
+ */
+function getPlanImagePaths(sessionPlan) {
+    return [sessionPlan.practice, ...sessionPlan.rounds]
+        .filter(round => round)
+        .flatMap(round => round.grid.images.map(image => image.image_path));
 }
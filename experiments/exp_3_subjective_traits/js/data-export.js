@@ -2,6 +2,9 @@
  * Data Export Module — Experiment 3 (Subjective Traits)
  *
  * Handles sending experiment data to Google Sheets or downloading as CSV.
+ *
+ * Each recorded trial is streamed to the collector as soon as it finishes
+ * (../common/js/session-stream.js); this file maps the recorded data to rows.
  */
 
 // ============================================================================
@@ -9,27 +12,101 @@
 // ============================================================================
 
 const DATA_EXPORT_CONFIG = {
-    // Google Sheets Web App URL (set this after deploying your Google Apps Script)
-    googleSheetsUrl: 'https://script.google.com/macros/s/AKfycbz9aAC62i3gNYQWIbYzjnM19zzxqckEfbxzxHAX09bCOExOqo4GWeZcYyr3S62bIeDr/exec'
+    // Google Sheets Web App URL (set this after deploying your Google Apps Script).
+    // Lab sessions can override it with ../config.js or ?collector=<url>
+    googleSheetsUrl: getCollectorUrl('https://script.google.com/macros/s/AKfycbz9aAC62i3gNYQWIbYzjnM19zzxqckEfbxzxHAX09bCOExOqo4GWeZcYyr3S62bIeDr/exec'),
+
+    // Experiment identifier sent with every payload (selects the sheet)
+    experiment: 'subj_traits',
+
+    // Fallback when delivery fails: participants download their data and email it to us
+    fallbackFilePrefix: 'subj_traits',
+    contactEmail: 'julio.garbers@liser.lu'
 };
 
 // ============================================================================
-// GOOGLE SHEETS EXPORT
+// SESSION STREAMING
 // ============================================================================
 
 /**
- * Send experiment data to Google Sheets using a form submission
- * This approach works around CORS restrictions
+ * Session-level fields only this experiment records (see getSessionFields
+ * in ../common/js/session-stream.js)
+ * @returns {Object}
+ */
+function getExperimentSessionData() {
+    return {
+        ...getConditionListData()
+    };
+}
+
+/**
+ * Push one completed trial to the collector as soon as it is recorded
  * @param {Object} jsPsych - The jsPsych instance
  * @param {string} participantId - The participant's ID
- * @returns {Promise<boolean>} - Whether the export was successful
+ * @param {Object} data - Data returned by the trial_complete call-function trial
  */
-async function sendToGoogleSheets(jsPsych, participantId) {
-    if (!DATA_EXPORT_CONFIG.googleSheetsUrl) {
-        console.warn('Google Sheets URL not configured. Falling back to CSV download.');
-        return false;
-    }
+function streamTrialRow(jsPsych, participantId, data) {
+    streamRows(jsPsych, participantId, { trials: [toTrialRow(data)] });
+}
+
+// ============================================================================
+// GOOGLE SHEETS EXPORT
+// ============================================================================
 
+/**
+ * Pick the exported columns from one recorded trial (call-function 'value' data)
+ * @param {Object} data - Data returned by the trial_complete call-function trial
+ * @returns {Object} - One trial row
+ */
+function toTrialRow(data) {
+    return {
+        trial_number: data.trial_number,
+        image_name: data.image_name,
+        true_race: data.true_race,
+        true_gender: data.true_gender,
+        size_condition: data.size_condition,
+        smile_condition: data.smile_condition,
+        trait_order: data.trait_order,
+        trustworthy_rating: data.trustworthy_rating,
+        trustworthy_confidence: data.trustworthy_confidence,
+        trustworthy_rt: data.trustworthy_rt,
+        competent_rating: data.competent_rating,
+        competent_confidence: data.competent_confidence,
+        competent_rt: data.competent_rt,
+        attractive_rating: data.attractive_rating,
+        attractive_confidence: data.attractive_confidence,
+        attractive_rt: data.attractive_rt,
+        friendly_rating: data.friendly_rating,
+        friendly_confidence: data.friendly_confidence,
+        friendly_rt: data.friendly_rt,
+        viewing_distance_mm: data.viewing_distance_mm,
+        visual_angle_deg: data.visual_angle_deg,
+        stimulus_width_px: data.stimulus_width_px,
+        stimulus_source_px: data.stimulus_source_px,
+        stimulus_detail_px: data.stimulus_detail_px,
+        tab_hidden_count: data.tab_hidden_count,
+        blur_count: data.blur_count,
+        resize_count: data.resize_count,
+        interaction_events: data.interaction_events,
+        trial_attempt: data.trial_attempt,
+        trial_repeated: data.trial_repeated,
+        flag_timed_out: data.flag_timed_out,
+        flag_fast_rt: data.flag_fast_rt,
+        flag_focus_lost: data.flag_focus_lost,
+        flag_straightlined: data.flag_straightlined,
+        stimulus_load_failed: data.stimulus_load_failed,
+        replaced_individual_id: data.replaced_individual_id,
+        is_practice: data.is_practice
+    };
+}
+
+/**
+ * Collect all experiment data of this session into one payload
+ * @param {Object} jsPsych - The jsPsych instance
+ * @param {string} participantId - The participant's ID
+ * @returns {Object} - The export payload
+ */
+function buildExportPayload(jsPsych, participantId) {
     // Get all trial data
     const allData = jsPsych.data.get().values();
 
@@ -48,117 +125,81 @@ async function sendToGoogleSheets(jsPsych, participantId) {
     console.log('Found trial entries:', trialData.length);
 
     // Get demographics data — survey-html-form stores responses in 'response' property
-    const demographicsEntry = allData.find(d =>
-        d.trial_type === 'survey-html-form' && d.response && d.response.age !== undefined
-    );
-    const demographics = demographicsEntry ? demographicsEntry.response : {};
+    const demographics = getDemographics(allData);
     console.log('Demographics:', demographics);
 
     // Get zoom tracking data
-    const zoomTracking = typeof getZoomTrackingData === 'function' ? getZoomTrackingData() : {};
+    const zoomTracking = getZoomTracking();
 
     // Prepare payload
     const payload = {
         experiment: 'subj_traits',  // Tells the script to use the "subj_traits" sheet
+        submission_id: createSubmissionId(),
+        session_id: EXPORT_SESSION.id,
+        end_reason: EXPORT_SESSION.endReason,
         participant_id: participantId,
+        ...getSessionFields(),
         timestamp: new Date().toISOString(),
         demographics: demographics,
         zoom_tracking: zoomTracking,
-        trials: trialData.map(trial => {
-            const data = trial.value || trial;
-            return {
-                trial_number: data.trial_number,
-                image_name: data.image_name,
-                true_race: data.true_race,
-                true_gender: data.true_gender,
-                size_condition: data.size_condition,
-                smile_condition: data.smile_condition,
-                trait_order: data.trait_order,
-                trustworthy_rating: data.trustworthy_rating,
-                trustworthy_confidence: data.trustworthy_confidence,
-                trustworthy_rt: data.trustworthy_rt,
-                competent_rating: data.competent_rating,
-                competent_confidence: data.competent_confidence,
-                competent_rt: data.competent_rt,
-                attractive_rating: data.attractive_rating,
-                attractive_confidence: data.attractive_confidence,
-                attractive_rt: data.attractive_rt,
-                friendly_rating: data.friendly_rating,
-                friendly_confidence: data.friendly_confidence,
-                friendly_rt: data.friendly_rt,
-                is_practice: data.is_practice
-            };
-        })
+        quality: getQualityReport(),
+        trials: trialData.map(trial => toTrialRow(trial.value || trial))
     };
 
     console.log('Payload trials count:', payload.trials.length);
 
-    // Use form submission via hidden iframe to bypass CORS
-    return new Promise((resolve) => {
-        try {
-            // Create a hidden iframe to receive the response
-            const iframe = document.createElement('iframe');
-            iframe.name = 'google-sheets-target-' + Date.now();
-            iframe.style.display = 'none';
-            document.body.appendChild(iframe);
-
-            // Create a form
-            const form = document.createElement('form');
-            form.method = 'POST';
-            form.action = DATA_EXPORT_CONFIG.googleSheetsUrl;
-            form.target = iframe.name;
-            form.style.display = 'none';
-
-            // Add the data as a hidden input
-            const input = document.createElement('input');
-            input.type = 'hidden';
-            input.name = 'data';
-            input.value = JSON.stringify(payload);
-            form.appendChild(input);
-
-            // Add form to document and submit
-            document.body.appendChild(form);
-            form.submit();
-
-            console.log('Data sent to Google Sheets via form submission');
-
-            // Clean up after a delay
-            setTimeout(() => {
-                document.body.removeChild(form);
-                document.body.removeChild(iframe);
-            }, 5000);
-
-            resolve(true);
-
-        } catch (error) {
-            console.error('Failed to send data to Google Sheets:', error);
-            resolve(false);
-        }
-    });
+    return payload;
 }
 
 // ============================================================================
-// MAIN EXPORT FUNCTION
+// LOCAL DOWNLOAD FALLBACK
 // ============================================================================
 
 /**
- * Export experiment data to Google Sheets
- * @param {Object} jsPsych - The jsPsych instance
- * @param {string} participantId - The participant's ID
- * @param {Function} onComplete - Callback when export is complete
- * @param {Function} onError - Callback if export fails
+ * Flatten a payload into one row per trial/round, repeating the session-level
+ * fields (demographics as demo_*, zoom tracking) on every row like the sheet does
+ * (the CSV download of ../common/js/submission.js)
+ * @param {Object} payload - Export payload
+ * @returns {Array<Object>} Flat rows
  */
-async function exportData(jsPsych, participantId, onComplete, onError) {
-    if (!DATA_EXPORT_CONFIG.googleSheetsUrl) {
-        if (onError) onError('Google Sheets URL not configured');
-        return;
+function flattenPayloadRows(payload) {
+    const sessionFields = {
+        submission_id: payload.submission_id,
+        participant_id: payload.participant_id,
+        random_seed: payload.random_seed,
+        recruitment_platform: payload.recruitment_platform,
+        platform_participant_id: payload.platform_participant_id,
+        platform_study_id: payload.platform_study_id,
+        platform_session_id: payload.platform_session_id,
+        px_per_mm: payload.px_per_mm,
+        calibration_card_px: payload.calibration_card_px,
+        calibration_skipped: payload.calibration_skipped,
+        viewing_distance_mm: payload.viewing_distance_mm,
+        blind_spot_px: payload.blind_spot_px,
+        stimulus_units: payload.stimulus_units,
+        refresh_rate_hz: payload.refresh_rate_hz,
+        exposure_flags: payload.exposure_flags,
+        interaction_policy: payload.interaction_policy,
+        attention_checks_passed: payload.attention_checks_passed,
+        attention_checks_failed: payload.attention_checks_failed,
+        attention_check_results: payload.attention_check_results,
+        missing_images_mode: payload.missing_images_mode,
+        failed_images: payload.failed_images,
+        dropped_stimuli: payload.dropped_stimuli,
+        stimulus_verification: payload.stimulus_verification,
+        stimulus_rendering: payload.stimulus_rendering,
+        list_id: payload.list_id,
+        list_source: payload.list_source,
+        quality: payload.quality,
+        timestamp: payload.timestamp
+    };
+    for (const [key, value] of Object.entries(payload.demographics || {})) {
+        sessionFields[`demo_${key}`] = value;
     }
-
-    const success = await sendToGoogleSheets(jsPsych, participantId);
-
-    if (success) {
-        if (onComplete) onComplete('sheets');
-    } else {
-        if (onError) onError('Failed to export data');
+    for (const [key, value] of Object.entries(payload.zoom_tracking || {})) {
+        sessionFields[key] = value;
     }
+
+    const rows = payload.trials || payload.rounds || [];
+    return rows.map(row => ({ ...sessionFields, ...row }));
 }
@@ -1,150 +1,130 @@
 /**
  * Stimulus Configuration for Face Perception Experiment
  *
- * Image naming convention: {race}_{gender}_{smile}_{id}_{size}.{ext}
- * Example: black_male_smile_01_big.jpeg
- *
- * Races: black, asian, white, hispanic
- * Genders: male, female
- * Smile: smile, nosmile
- * IDs: 01, 02 (two individuals per race-gender combination)
- * Sizes: big (256x256), small (104x104)
- * Extensions: .jpeg for big, .png for small
+ * The faces, their race and gender, and the image file of every expression
+ * and size come from the stimulus manifests (see common/js/stimulus-manifest.js);
+ * loadStimuli() must finish before a session plan is generated.
  */
 
 const STIMULI_CONFIG = {
-    // Base path for images
-    imagePath: '../images/',
-
-    // Base path for practice images
-    practiceImagePath: '../practice_images/',
+    // Stimulus manifests (see common/js/stimulus-manifest.js), relative to index.html
+    manifests: {
+        main: '../images/manifest.json',
+        practice: '../practice_images/manifest.json'
+    },
 
-    // Image dimensions
+    // Size levels in pixels, smallest to largest or in any order: each level
+    // is a condition, crossed with smile. Any number of levels works, e.g.
+    // { px48: { width: 48, height: 48 }, px72: ..., px256: ... } for a
+    // psychometric function of size. Without masterSize, every level needs
+    // its own image in the manifest.
     sizes: {
         big: { width: 256, height: 256 },
         small: { width: 104, height: 104 }
     },
 
-    // All 16 individuals (2 per race × gender combination)
-    individuals: [
-        // Black individuals
-        { id: 'black_male_01', race: 'black', gender: 'male' },
-        { id: 'black_male_02', race: 'black', gender: 'male' },
-        { id: 'black_female_01', race: 'black', gender: 'female' },
-        { id: 'black_female_02', race: 'black', gender: 'female' },
-
-        // Asian individuals
-        { id: 'asian_male_01', race: 'asian', gender: 'male' },
-        { id: 'asian_male_02', race: 'asian', gender: 'male' },
-        { id: 'asian_female_01', race: 'asian', gender: 'female' },
-        { id: 'asian_female_02', race: 'asian', gender: 'female' },
-
-        // White individuals
-        { id: 'white_male_01', race: 'white', gender: 'male' },
-        { id: 'white_male_02', race: 'white', gender: 'male' },
-        { id: 'white_female_01', race: 'white', gender: 'female' },
-        { id: 'white_female_02', race: 'white', gender: 'female' },
-
-        // Hispanic individuals
-        { id: 'hispanic_male_01', race: 'hispanic', gender: 'male' },
-        { id: 'hispanic_male_02', race: 'hispanic', gender: 'male' },
-        { id: 'hispanic_female_01', race: 'hispanic', gender: 'female' },
-        { id: 'hispanic_female_02', race: 'hispanic', gender: 'female' }
-    ],
-
-    // Practice trial configuration
-    // Uses white_female_01 as practice (with smile, big size)
+    // Manifest size of a high-resolution master image that is scaled to every
+    // size level instead of using one image file per level (e.g. 'big' scales
+    // the 256px images; levels above the master's resolution look blurred).
+    // null = one image per level.
+    masterSize: null,
+
+    // Physical image sizes in mm, used instead of `sizes` on calibrated displays
+    // (see common/js/calibration.js), e.g. { big: { width: 68, height: 68 }, ... }.
+    // null = always use the pixel sizes; px_per_mm is recorded either way.
+    physicalSizes: null,
+
+    // Image sizes in degrees of visual angle, used before physicalSizes when the
+    // blind-spot task measured a viewing distance. null = not used.
+    visualAngleSizes: null,
+
+    // Number of counterbalancing lists (Latin square over the size × smile
+    // conditions): must be 2 × the number of size levels, so that every
+    // counterbalanceLists participants see each individual in each condition once
+    counterbalanceLists: 4,
+
+    // Attention-check screens (see common/js/attention-checks.js) ask for this
+    // slider value; answers within `tolerance` of it pass
+    attentionCheckRating: { target: 80, tolerance: 5 },
+
+    // Practice trial configuration: a face of the practice manifest
     // Ground truth values for checking answers
     practice: {
-        race: 'white',
-        gender: 'female',
-        id: '01',
+        id: 'white_female_01',
         smile: true,    // Ground truth: smiling
-        size: 'big'     // Practice shown in big size
+        size: 'big'     // Practice shown in big size (a key of `sizes`)
     }
 };
 
+// Stimulus sets of the manifests, set by loadStimuli()
+const stimulusSets = {
+    main: null,
+    practice: null
+};
+
 /**
- * Generate the image filename for a given stimulus configuration
- * @param {string} individualId - The individual's ID (e.g., 'black_male_01')
- * @param {string} size - 'big' or 'small'
- * @param {boolean} smile - true for smiling, false for not smiling
- * @returns {string} The complete image path
+ * Load and check the stimulus manifests
+ * The main set needs both expressions in every size (or the master size), and
+ * faces that split evenly between the counterbalancing groups (see
+ * checkCounterbalanceGroups).
+ * @returns {Promise<Object>} stimulusSets
  */
-function getImagePath(individualId, size, smile) {
-    // Parse individualId to extract race, gender, and number
-    // Format: {race}_{gender}_{id} e.g., 'black_male_01'
-    const parts = individualId.split('_');
-    const race = parts[0];
-    const gender = parts[1];
-    const idNum = parts[2];
-
-    const smileStr = smile ? 'smile' : 'nosmile';
-    const ext = size === 'big' ? 'jpeg' : 'png';
-
-    // New format: {race}_{gender}_{smile}_{id}_{size}.{ext}
-    return `${STIMULI_CONFIG.imagePath}${race}_${gender}_${smileStr}_${idNum}_${size}.${ext}`;
+async function loadStimuli() {
+    const conditionCount = getSizeConditions().length;
+    if (STIMULI_CONFIG.counterbalanceLists !== conditionCount) {
+        throw new Error(`STIMULI_CONFIG.counterbalanceLists must be ${conditionCount} (2 per size level)`);
+    }
+    if (!STIMULI_CONFIG.sizes[STIMULI_CONFIG.practice.size]) {
+        throw new Error(`STIMULI_CONFIG.practice.size "${STIMULI_CONFIG.practice.size}" is not a size level`);
+    }
+
+    stimulusSets.main = await loadStimulusManifest(STIMULI_CONFIG.manifests.main, {
+        attributes: ['race', 'gender'],
+        expressions: ['smile', 'nosmile'],
+        sizes: [...new Set(Object.keys(STIMULI_CONFIG.sizes).map(getImageSize))]
+    });
+    stimulusSets.practice = await loadStimulusManifest(STIMULI_CONFIG.manifests.practice, {
+        attributes: ['race', 'gender']
+    });
+
+    checkCounterbalanceGroups();
+
+    // Fails now, rather than at the practice trial, if the practice image is missing
+    getPracticeImagePath();
+    return stimulusSets;
 }
 
 /**
- * Generate a placeholder image as a data URL
- * @param {string} label - Text label for the placeholder
- * @param {number} size - Image dimensions (square)
- * @param {boolean} smile - Whether to show a smile
- * @returns {string} Data URL of the placeholder image
+ * Size conditions: every size level crossed with smile
+ * @returns {Array} [{ size, smile }] in STIMULI_CONFIG.sizes order
  */
-function generatePlaceholder(label, size, smile) {
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-
-    // Gray background
-    ctx.fillStyle = '#808080';
-    ctx.fillRect(0, 0, size, size);
-
-    // Simple face
-    const centerX = size / 2;
-    const centerY = size / 2;
-    const faceRadius = size * 0.35;
-
-    // Face circle
-    ctx.fillStyle = '#A0A0A0';
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, faceRadius, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Eyes
-    ctx.fillStyle = '#333';
-    const eyeY = centerY - faceRadius * 0.15;
-    const eyeOffset = faceRadius * 0.3;
-    ctx.beginPath();
-    ctx.arc(centerX - eyeOffset, eyeY, faceRadius * 0.08, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.beginPath();
-    ctx.arc(centerX + eyeOffset, eyeY, faceRadius * 0.08, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Mouth
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = Math.max(2, size * 0.02);
-    ctx.beginPath();
-    const mouthY = centerY + faceRadius * 0.3;
-    if (smile) {
-        ctx.arc(centerX, mouthY - faceRadius * 0.1, faceRadius * 0.25, 0.1 * Math.PI, 0.9 * Math.PI);
-    } else {
-        ctx.moveTo(centerX - faceRadius * 0.2, mouthY);
-        ctx.lineTo(centerX + faceRadius * 0.2, mouthY);
+function getSizeConditions() {
+    const conditions = [];
+    for (const size of Object.keys(STIMULI_CONFIG.sizes)) {
+        conditions.push({ size: size, smile: true }, { size: size, smile: false });
     }
-    ctx.stroke();
+    return conditions;
+}
 
-    // Label
-    ctx.fillStyle = '#FFF';
-    ctx.font = `bold ${Math.max(10, size * 0.08)}px Arial`;
-    ctx.textAlign = 'center';
-    ctx.fillText(label, centerX, size - 10);
+/**
+ * Manifest size of the image shown at a size level: the master image if
+ * configured (scaled by the browser), otherwise the level's own image
+ * @param {string} size - Size level
+ * @returns {string} Manifest size
+ */
+function getImageSize(size) {
+    return STIMULI_CONFIG.masterSize || size;
+}
 
-    return canvas.toDataURL('image/jpeg', 0.9);
+/**
+ * Image path of a face of the main set (see common/js/stimulus-manifest.js)
+ * @param {string} individualId - The individual's ID (e.g., 'black_male_01')
+ * @param {string} size - Size level, e.g. 'big' or 'small'
+ * @param {boolean} smile - true for smiling, false for not smiling
+ * @returns {string} The complete image path
+ */
+function getImagePath(individualId, size, smile) {
+    return getManifestImagePath(stimulusSets.main, individualId, smile ? 'smile' : 'nosmile', getImageSize(size));
 }
 
 /**
@@ -153,47 +133,194 @@ function generatePlaceholder(label, size, smile) {
  */
 function getPracticeImagePath() {
     const p = STIMULI_CONFIG.practice;
-    const smileStr = p.smile ? 'smile' : 'nosmile';
-    const ext = p.size === 'big' ? 'jpeg' : 'png';
-    return `${STIMULI_CONFIG.practiceImagePath}${p.race}_${p.gender}_${smileStr}_${p.id}_${p.size}.${ext}`;
+    return getManifestImagePath(stimulusSets.practice, p.id, p.smile ? 'smile' : 'nosmile', getImageSize(p.size));
+}
+
+/**
+ * Counterbalancing group of the individual at this index of the main
+ * manifest's faces: one group per size × smile condition, and each race's
+ * faces are dealt to the groups in turn, starting one group later for each
+ * race. With the default 16 faces (4 per race in male, male, female, female
+ * order) and 2 levels, each of the 4 groups holds one individual of every
+ * race, two male and two female.
+ * @param {number} index - Index in stimulusSets.main.faces
+ * @returns {number} Group index (0 to 2 × levels - 1)
+ */
+function getCounterbalanceGroup(index) {
+    const faces = stimulusSets.main.faces;
+    const race = faces[index].race;
+    const raceIndex = [...new Set(faces.map(face => face.race))].indexOf(race);
+    const indexInRace = faces.slice(0, index).filter(face => face.race === race).length;
+    return (indexInRace + raceIndex) % getSizeConditions().length;
+}
+
+/**
+ * Check that every counterbalancing group holds the same number of faces of
+ * each race and of each gender, so no condition is e.g. all one race
+ * @throws {Error} If the main manifest cannot be split evenly between the
+ *     size × smile conditions (too few faces for the number of size levels)
+ */
+function checkCounterbalanceGroups() {
+    const faces = stimulusSets.main.faces;
+    const groupCount = getSizeConditions().length;
+    for (const attribute of ['race', 'gender']) {
+        for (const value of new Set(faces.map(face => face[attribute]))) {
+            const counts = new Array(groupCount).fill(0);
+            faces.forEach((face, index) => {
+                if (face[attribute] === value) counts[getCounterbalanceGroup(index)]++;
+            });
+            if (counts.some(count => count !== counts[0])) {
+                throw new Error(`Stimulus manifest ${stimulusSets.main.url}: faces cannot be split evenly between ` +
+                    `the ${groupCount} size × smile conditions (${attribute} ${value}: ${counts.join(', ')})`);
+            }
+        }
+    }
 }
 
 /**
  * Generate a balanced stimulus assignment for one participant
- * Ensures: 8 big/8 small, 8 smile/8 nosmile, each individual seen once
- * @returns {Array} Array of 16 trial configurations
+ * Ensures each individual is seen once and the size × smile conditions get
+ * equal shares of the individuals, with the same races and genders (the
+ * default 16 faces and 2 levels: 8 big/8 small, 8 smile/8 nosmile). Individuals ordered by counterbalancing group are split
+ * into one consecutive slot per condition, and the list rotates which slot
+ * gets which condition (Latin square), so the lists together show every
+ * individual in every condition.
+ * @param {number} listId - Counterbalancing list (0 to counterbalanceLists - 1)
+ * @returns {Array} One trial configuration per main face
  */
-function generateStimulusAssignment() {
-    // Create the 4 conditions with 4 slots each
-    const conditions = [
-        { size: 'big', smile: true },
-        { size: 'big', smile: false },
-        { size: 'small', smile: true },
-        { size: 'small', smile: false }
-    ];
-
-    // Shuffle individuals
-    const shuffledIndividuals = jsPsych.randomization.shuffle([...STIMULI_CONFIG.individuals]);
-
-    // Assign 4 individuals to each condition
-    const trials = [];
-    for (let i = 0; i < 16; i++) {
-        const conditionIndex = Math.floor(i / 4);
-        const condition = conditions[conditionIndex];
-        const individual = shuffledIndividuals[i];
-
-        trials.push({
+function generateStimulusAssignment(listId) {
+    const conditions = getSizeConditions();
+    const faces = stimulusSets.main.faces;
+
+    // Position of every individual when ordered by counterbalancing group
+    const groups = faces.map((individual, index) => getCounterbalanceGroup(index));
+    const byGroup = faces
+        .map((individual, index) => index)
+        .sort((a, b) => groups[a] - groups[b] || a - b);
+    const positions = [];
+    byGroup.forEach((index, position) => {
+        positions[index] = position;
+    });
+
+    // Assign each slot of individuals to the condition its list rotates it to
+    const trials = faces.map((individual, index) => {
+        const slot = Math.floor(positions[index] * conditions.length / faces.length);
+        const condition = conditions[(slot + listId) % conditions.length];
+
+        return {
             individual_id: individual.id,
             race: individual.race,
             gender: individual.gender,
             size: condition.size,
             smile: condition.smile,
             image_path: getImagePath(individual.id, condition.size, condition.smile)
-        });
-    }
+        };
+    });
 
     // Shuffle the presentation order
-    return jsPsych.randomization.shuffle(trials);
+    return randomShuffle(trials);
+}
+
+/**
+ * Randomize the trait screen order for one trial
+ * @param {Object} stimulus - Trial configuration
+ * @returns {Object} The stimulus with trait_order added
+ */
+function addTrialOrders(stimulus) {
+    return {
+        ...stimulus,
+        // Randomize trait order per trial
+        trait_order: randomShuffle(['trustworthy', 'competent', 'attractive', 'friendly'])
+    };
+}
+
+/**
+ * Generate every randomized part of a session from the current seed
+ * (see common/js/random.js): the practice trial, then the main trials
+ * in presentation order
+ * @param {number} listId - Counterbalancing list of the session
+ * @returns {Object} { practice, trials }
+ */
+function generateSessionPlan(listId) {
+    const practice = STIMULI_CONFIG.practice;
+    const practiceFace = getManifestFace(stimulusSets.practice, practice.id);
+    return {
+        practice: addTrialOrders({
+            individual_id: practiceFace.id,
+            race: practiceFace.race,
+            gender: practiceFace.gender,
+            size: practice.size,
+            smile: practice.smile,
+            image_path: getPracticeImagePath()
+        }),
+        trials: generateStimulusAssignment(listId).map(addTrialOrders)
+    };
+}
+
+/**
+ * Deal with trials whose image failed to load (see common/js/stimulus-preload.js):
+ * in demo mode they show a placeholder; otherwise they show a face of the same
+ * race and gender, in the same size and expression, from the same stimulus set.
+ * A face not otherwise shown in the session is preferred (each individual
+ * appears once); failing that, one shown in another size and expression, so
+ * the condition keeps its trial. Trials with no such face are left out and
+ * recorded as dropped. Affected trials are marked stimulus_load_failed, and
+ * replaced ones keep the planned face in replaced_individual_id.
+ * @param {Object} sessionPlan - From generateSessionPlan(), changed in place
+ * @returns {Object} The session plan (practice is null if it was left out)
+ */
+function applyImageFallbacks(sessionPlan) {
+    const shownIds = new Set([sessionPlan.practice, ...sessionPlan.trials].map(stimulus => stimulus.individual_id));
+
+    const fixStimulus = (stimulus, set) => {
+        if (!isImageLoadFailed(stimulus.image_path)) {
+            return true;
+        }
+        stimulus.stimulus_load_failed = true;
+
+        if (isPlaceholderMode()) {
+            stimulus.image_name = getImageName(stimulus.image_path);
+            stimulus.image_path = generatePlaceholder(stimulus.individual_id,
+                STIMULI_CONFIG.sizes[stimulus.size].width, stimulus.smile);
+            return true;
+        }
+
+        const expression = stimulus.smile ? 'smile' : 'nosmile';
+        const getPath = (set, face) => (
+            hasManifestVariant(face, expression, getImageSize(stimulus.size))
+                ? getManifestImagePath(set, face.id, expression, getImageSize(stimulus.size))
+                : null
+        );
+        const shownInCondition = face => sessionPlan.trials.some(other => (
+            other.individual_id === face.id && other.size === stimulus.size && other.smile === stimulus.smile
+        ));
+        const replacement = findReplacementFace([set], ['race', 'gender'], stimulus, getPath,
+            face => !shownIds.has(face.id), 2)
+            || findReplacementFace([set], ['race', 'gender'], stimulus, getPath,
+                face => !shownInCondition(face), 2);
+        if (!replacement) {
+            recordDroppedStimulus({
+                image_path: stimulus.image_path,
+                individual_id: stimulus.individual_id,
+                size: stimulus.size,
+                smile: stimulus.smile,
+                is_practice: set === stimulusSets.practice
+            });
+            return false;
+        }
+        console.warn('Missing image replaced:', stimulus.image_path, '->', replacement.path);
+        shownIds.add(replacement.face.id);
+        stimulus.replaced_individual_id = stimulus.individual_id;
+        stimulus.individual_id = replacement.face.id;
+        stimulus.image_path = replacement.path;
+        return true;
+    };
+
+    if (!fixStimulus(sessionPlan.practice, stimulusSets.practice)) {
+        sessionPlan.practice = null;
+    }
+    sessionPlan.trials = sessionPlan.trials.filter(stimulus => fixStimulus(stimulus, stimulusSets.main));
+    return sessionPlan;
 }
 
 /**
@@ -201,21 +328,32 @@ function generateStimulusAssignment() {
  * @returns {Array} Array of all image paths
  */
 function getAllImagePaths() {
-    const paths = [];
-    const sizes = ['big', 'small'];
+    const paths = new Set();
+    const sizes = Object.keys(STIMULI_CONFIG.sizes);
     const smiles = [true, false];
 
     // Add practice image
-    paths.push(getPracticeImagePath());
+    paths.add(getPracticeImagePath());
 
     // Main experiment images
-    for (const individual of STIMULI_CONFIG.individuals) {
+    for (const individual of stimulusSets.main.faces) {
         for (const size of sizes) {
             for (const smile of smiles) {
-                paths.push(getImagePath(individual.id, size, smile));
+                paths.add(getImagePath(individual.id, size, smile));
             }
         }
     }
 
-    return paths;
+    return [...paths];
+}
+
+/**
+ * Image paths the session shows, to check that they were all preloaded
+ * @param {Object} sessionPlan - From generateSessionPlan(), after applyImageFallbacks()
+ * @returns {Array} Image paths of the practice and main trials
+ */
+function getPlanImagePaths(sessionPlan) {
+    return [sessionPlan.practice, ...sessionPlan.trials]
+        .filter(stimulus => stimulus)
+        .map(stimulus => stimulus.image_path);
 }
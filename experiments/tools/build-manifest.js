@@ -0,0 +1,98 @@
+/**
+ * Build a Stimulus Manifest
+ *
+ * Writes <folder>/manifest.json (see common/js/stimulus-manifest.js) for the
+ * images in a folder named {race}_{gender}_{expression}_{id}_{size}.{ext},
+ * e.g. black_male_smile_01_big.jpeg, with the SHA-256 checksum of every file.
+ * Faces already in the folder's manifest keep their position and any extra
+ * attributes: counterbalancing and session replays depend on the face order.
+ * New faces are appended in ID order. Images named otherwise are skipped with
+ * a warning; write their entries by hand.
+ *
+ * No dependencies - run with Node 18+ from the experiments folder:
+ *   node tools/build-manifest.js <folder> [name]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PATTERN = /^([a-z]+)_([a-z]+)_([a-z]+)_(\d+)_([a-z]+)\.(jpe?g|png|webp|gif)$/i;
+
+/**
+ * SHA-256 checksum of a file
+ * @param {string} file - File path
+ * @returns {string} Hex digest
+ */
+function sha256(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Build the manifest of a folder
+ * @param {string} folder - Image folder
+ * @param {string} [name] - Manifest name (default: the existing name or the folder name)
+ * @returns {Object} Manifest
+ */
+function buildManifest(folder, name) {
+    const manifestFile = path.join(folder, 'manifest.json');
+    const previous = fs.existsSync(manifestFile)
+        ? JSON.parse(fs.readFileSync(manifestFile, 'utf8'))
+        : { faces: [] };
+
+    const faces = new Map();
+    for (const file of fs.readdirSync(folder).sort()) {
+        if (file === 'manifest.json' || file.toLowerCase() === 'readme.md') continue;
+        const match = file.match(FILE_PATTERN);
+        if (!match) {
+            console.warn(`Skipped ${file}: not named {race}_{gender}_{expression}_{id}_{size}.{ext}`);
+            continue;
+        }
+
+        const [, race, gender, expression, id, size] = match;
+        const faceId = `${race}_${gender}_${id}`;
+        if (!faces.has(faceId)) {
+            faces.set(faceId, { id: faceId, attributes: { race: race, gender: gender }, variants: [] });
+        }
+        faces.get(faceId).variants.push({
+            expression: expression,
+            size: size,
+            file: file,
+            sha256: sha256(path.join(folder, file))
+        });
+    }
+
+    // Keep the previous order and extra attributes, then append new faces
+    const ordered = [];
+    for (const face of previous.faces || []) {
+        if (faces.has(face.id)) {
+            const current = faces.get(face.id);
+            ordered.push({ ...current, attributes: { ...face.attributes, ...current.attributes } });
+            faces.delete(face.id);
+        } else {
+            console.warn(`Removed ${face.id}: no images left`);
+        }
+    }
+    ordered.push(...[...faces.values()].sort((a, b) => a.id.localeCompare(b.id)));
+
+    return {
+        name: name || previous.name || path.basename(path.resolve(folder)),
+        faces: ordered
+    };
+}
+
+const [folder, name] = process.argv.slice(2);
+if (!folder) {
+    console.error('Usage: node tools/build-manifest.js <folder> [name]');
+    process.exit(1);
+}
+
+try {
+    const manifest = buildManifest(folder, name);
+    fs.writeFileSync(path.join(folder, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    const variants = manifest.faces.reduce((count, face) => count + face.variants.length, 0);
+    console.log(`Wrote ${path.join(folder, 'manifest.json')}: ${manifest.faces.length} faces, ${variants} images`);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,91 @@
+/**
+ * Replay a Session's Randomisation Offline
+ *
+ * Regenerates the session plan a participant was given - the practice and
+ * main trials (or rounds) in presentation order, with their conditions and
+ * question and option orders - from the `random_seed` stored with their data
+ * (by default the participant ID) and, for counterbalanced experiments, their
+ * `list_id`. Loads the shared PRNG, the stimulus manifests and the
+ * experiment's own stimuli.js, seeds it and prints the session plan the
+ * experiment would have built. The manifests must list the faces in the order
+ * the session used.
+ *
+ * Not reproduced, because the experiment does them outside the plan:
+ *   - Attention checks (common/js/attention-checks.js): their positions and
+ *     stimuli are drawn from the same PRNG after the plan, while the timeline
+ *     is built. The session's `attention_check_results` lists them.
+ *   - Missing images (common/js/stimulus-preload.js): trials whose image
+ *     failed showed another face (`replaced_individual_id`, and the rounds'
+ *     `grid_order` in Experiment 2) or were left out (the session's
+ *     `dropped_stimuli`). The plan printed here is the one before that.
+ *
+ * No dependencies - run with Node 18+ from the experiments folder:
+ *   node tools/replay-session.js <attention|memory|subj_traits> <seed> [list_id]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Experiment name (as sent in the payload's `experiment` field) -> folder
+const EXPERIMENT_FOLDERS = {
+    attention: 'exp_1_attention_accuracy',
+    memory: 'exp_2_memory',
+    subj_traits: 'exp_3_subjective_traits'
+};
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Run the browser scripts that build a session plan and return the plan
+ * @param {string} experiment - Experiment name
+ * @param {string} seed - Seed to replay
+ * @param {string} [listId] - Counterbalancing list (required if the experiment has lists)
+ * @returns {Promise<Object>} The session plan from generateSessionPlan()
+ */
+async function replaySession(experiment, seed, listId) {
+    const folder = EXPERIMENT_FOLDERS[experiment];
+    if (!folder) {
+        throw new Error(`Unknown experiment: ${experiment} (expected ${Object.keys(EXPERIMENT_FOLDERS).join(', ')})`);
+    }
+
+    // stimuli.js and its helpers are plain browser scripts sharing one global
+    // scope; manifest URLs are relative to the experiment page, so read them
+    // from its folder
+    const context = vm.createContext({
+        console,
+        fetch: async (url) => {
+            const file = path.join(ROOT, folder, url);
+            if (!fs.existsSync(file)) {
+                return { ok: false, status: 404 };
+            }
+            const text = fs.readFileSync(file, 'utf8');
+            return { ok: true, status: 200, json: async () => JSON.parse(text) };
+        }
+    });
+    for (const file of ['common/js/random.js', 'common/js/stimulus-manifest.js', `${folder}/js/stimuli.js`]) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    await vm.runInContext('loadStimuli', context)();
+
+    const listCount = vm.runInContext('STIMULI_CONFIG.counterbalanceLists', context);
+    if (listCount && !/^\d+$/.test(listId || '')) {
+        throw new Error(`${experiment} is counterbalanced - pass the session's list_id (0-${listCount - 1})`);
+    }
+
+    vm.runInContext('setRandomSeed', context)(seed);
+    return vm.runInContext('generateSessionPlan', context)(listCount ? parseInt(listId, 10) % listCount : undefined);
+}
+
+const [experiment, seed, listId] = process.argv.slice(2);
+if (!experiment || !seed) {
+    console.error('Usage: node tools/replay-session.js <attention|memory|subj_traits> <seed> [list_id]');
+    process.exit(1);
+}
+
+replaySession(experiment, seed, listId)
+    .then(plan => console.log(JSON.stringify(plan, null, 2)))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });